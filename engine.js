@@ -0,0 +1,2459 @@
+// FM-200 Calculator - Calculation Engine
+// DOM-free NFPA 2001 math shared by the browser app and Node scripts
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FM200Engine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================================================
+    // CONSTANTS
+    // ============================================================================
+
+    const CONSTANTS = {
+        DEFAULT_AGENT: 'hfc-227ea',
+        DEFAULT_NOZZLE_TYPE: '360',
+        DEFAULT_DETECTION_STANDARD: 'nfpa72',
+        DEFAULT_MIN_HOLD_TIME: 10,   // minutes
+        MIN_NOZZLES: 2,
+        NOZZLE_DEFLECTOR_DROP: 0.3,  // m below the top of each nozzle tier
+        LEAKAGE_COEFFICIENT: 0.61,   // discharge coefficient behind a door-fan ELA
+        GRAVITY: 9.81
+    };
+
+    // Listed nozzle limits: throw radius from the nozzle and the height one tier protects (m)
+    const NOZZLE_TYPES = {
+        '360': { id: '360', name: '360° centre-mounted', throwRadius: 6.9, maxTierHeight: 4.9 },
+        '180': { id: '180', name: '180° sidewall', throwRadius: 9.8, maxTierHeight: 4.9 }
+    };
+
+    // NFPA 2001 / ISO 14520 atmospheric correction factors, altitude in metres
+    const ATMOSPHERIC_CORRECTION_TABLE = [
+        { altitude: -920, factor: 1.11 },
+        { altitude: -610, factor: 1.07 },
+        { altitude: -305, factor: 1.04 },
+        { altitude: 0, factor: 1.00 },
+        { altitude: 305, factor: 0.96 },
+        { altitude: 610, factor: 0.93 },
+        { altitude: 915, factor: 0.89 },
+        { altitude: 1220, factor: 0.86 },
+        { altitude: 1525, factor: 0.82 },
+        { altitude: 1830, factor: 0.78 },
+        { altitude: 2135, factor: 0.75 },
+        { altitude: 2440, factor: 0.72 },
+        { altitude: 2745, factor: 0.69 },
+        { altitude: 3050, factor: 0.66 }
+    ];
+
+    // NFPA 2001 minimum design safety factors applied to the extinguishing concentration
+    const HAZARD_CLASSES = {
+        A: { id: 'A', name: 'Class A - Surface fires', safetyFactor: 1.2, basis: 'classA' },
+        B: { id: 'B', name: 'Class B - Flammable liquids', safetyFactor: 1.3, basis: 'fuel' },
+        C: { id: 'C', name: 'Class C - Energized electrical', safetyFactor: 1.35, basis: 'classA' }
+    };
+
+    const FUELS = {
+        'n-heptane': 'n-Heptane',
+        'acetone': 'Acetone',
+        'ethanol': 'Ethanol',
+        'methanol': 'Methanol',
+        'isopropanol': 'Isopropanol',
+        'toluene': 'Toluene',
+        'diesel': 'Diesel'
+    };
+
+    const UNITS = {
+        volume: 'm³',
+        weight: 'kg',
+        temperature: '°C',
+        length: 'm',
+        area: 'm²',
+        pressure: 'bar',
+        flow: 'kg/s'
+    };
+
+    // Display units for each quantity. The engine works in SI only; imperial = SI × factor + offset,
+    // decimals is the display precision used for converted values.
+    const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+    const UNIT_CONVERSIONS = {
+        length: { metric: 'm', imperial: 'ft', factor: 3.28084, decimals: 2 },
+        area: { metric: 'm²', imperial: 'ft²', factor: 10.7639, decimals: 3 },
+        volume: { metric: 'm³', imperial: 'ft³', factor: 35.3147, decimals: 1 },
+        weight: { metric: 'kg', imperial: 'lb', factor: 2.20462, decimals: 1 },
+        temperature: { metric: '°C', imperial: '°F', factor: 1.8, offset: 32, decimals: 1 },
+        specificVolume: { metric: 'm³/kg', imperial: 'ft³/lb', factor: 16.0185, decimals: 4 },
+        fillDensity: { metric: 'kg/L', imperial: 'lb/ft³', factor: 62.428, decimals: 1 },
+        pressure: { metric: 'bar', imperial: 'psi', factor: 14.5038, decimals: 1 },
+        flow: { metric: 'kg/s', imperial: 'lb/s', factor: 2.20462, decimals: 2 },
+        diameter: { metric: 'mm', imperial: 'in', factor: 0.0393701, decimals: 3 },
+        orificeArea: { metric: 'mm²', imperial: 'in²', factor: 0.00155, decimals: 4 },
+        airPressure: { metric: 'Pa', imperial: 'in. w.c.', factor: 0.00401463, decimals: 3 },
+        airflow: { metric: 'm³/h', imperial: 'cfm', factor: 0.588578, decimals: 0 },
+        ventFlow: { metric: 'm³/s', imperial: 'cfm', factor: 2118.88, decimals: 0 }
+    };
+
+    // HFC-227ea containers: fill limits in kg, priceFactor scales the cylinderCost multiplier
+    const DEFAULT_CYLINDER_CATALOGUE = [
+        { id: '8L', volume: 8, minFill: 4.0, maxFill: 9.2, priceFactor: 0.45 },
+        { id: '16L', volume: 16, minFill: 8.0, maxFill: 18.4, priceFactor: 0.55 },
+        { id: '32L', volume: 32, minFill: 16.0, maxFill: 36.8, priceFactor: 0.75 },
+        { id: '52L', volume: 52, minFill: 26.0, maxFill: 59.8, priceFactor: 1.00 },
+        { id: '106L', volume: 106, minFill: 53.0, maxFill: 121.9, priceFactor: 1.50 },
+        { id: '147L', volume: 147, minFill: 73.5, maxFill: 169.0, priceFactor: 1.85 },
+        { id: '180L', volume: 180, minFill: 90.0, maxFill: 207.0, priceFactor: 2.20 }
+    ];
+
+    const CYLINDER_STRATEGIES = ['cost', 'count'];
+
+    const OCCUPANCY_TYPES = ['occupied', 'unoccupied'];
+
+    // Enclosure leakage from a known equivalent leakage area or a door-fan flow reading
+    const INTEGRITY_METHODS = ['ela', 'doorfan'];
+
+    // Expert-mode overrides and their accepted ranges; designMargin is a percentage
+    const EXPERT_FACTORS = {
+        altitudeFactor: { name: 'Atmospheric correction factor', min: 0.5, max: 1.5 },
+        highTempFactor: { name: 'High temperature factor', min: 1.0, max: 1.5 },
+        criticalAreaFactor: { name: 'Critical area factor', min: 1.0, max: 1.5 },
+        safetyFactor: { name: 'Concentration safety factor', min: 1.0, max: 2.0 },
+        designMargin: { name: 'Design margin', min: 0, max: 50 }
+    };
+
+    // Inert gas and CO2 containers are always charged to their rated capacity
+    const INERT_CYLINDER_CATALOGUES = {
+        'ig-541': [
+            { id: '80L-200bar', volume: 80, pressure: 200, minFill: 0, maxFill: 22.7, priceFactor: 1.10, fullCharge: true },
+            { id: '80L-300bar', volume: 80, pressure: 300, minFill: 0, maxFill: 33.4, priceFactor: 1.35, fullCharge: true },
+            { id: '140L-300bar', volume: 140, pressure: 300, minFill: 0, maxFill: 58.4, priceFactor: 2.00, fullCharge: true }
+        ],
+        'ig-55': [
+            { id: '80L-200bar', volume: 80, pressure: 200, minFill: 0, maxFill: 23.2, priceFactor: 1.10, fullCharge: true },
+            { id: '80L-300bar', volume: 80, pressure: 300, minFill: 0, maxFill: 34.0, priceFactor: 1.35, fullCharge: true },
+            { id: '140L-300bar', volume: 140, pressure: 300, minFill: 0, maxFill: 59.5, priceFactor: 2.00, fullCharge: true }
+        ],
+        'co2': [
+            { id: '34L', volume: 34, minFill: 0, maxFill: 22.7, priceFactor: 0.60, fullCharge: true },
+            { id: '50L', volume: 50, minFill: 0, maxFill: 34.0, priceFactor: 0.75, fullCharge: true },
+            { id: '68L', volume: 68, minFill: 0, maxFill: 45.0, priceFactor: 0.90, fullCharge: true }
+        ]
+    };
+
+    // Detector spacing rules. NFPA 72 uses a listed spacing (heat spacing reduced with ceiling
+    // height, height in m → fraction of listed spacing); BS 5839-1 uses a coverage radius.
+    const DETECTION_STANDARDS = {
+        'nfpa72': {
+            id: 'nfpa72',
+            name: 'NFPA 72',
+            smoke: { spacing: 9.1, maxHeight: 9.1 },
+            heat: {
+                spacing: 15.2,
+                maxHeight: 9.1,
+                heightReduction: [
+                    { height: 3.05, factor: 1.00 }, { height: 3.66, factor: 0.91 }, { height: 4.27, factor: 0.84 },
+                    { height: 4.88, factor: 0.77 }, { height: 5.49, factor: 0.71 }, { height: 6.10, factor: 0.64 },
+                    { height: 6.71, factor: 0.58 }, { height: 7.32, factor: 0.52 }, { height: 7.92, factor: 0.46 },
+                    { height: 8.53, factor: 0.40 }, { height: 9.14, factor: 0.34 }
+                ]
+            }
+        },
+        'bs5839': {
+            id: 'bs5839',
+            name: 'BS 5839-1',
+            smoke: { radius: 7.5, maxHeight: 10.5 },
+            heat: { radius: 5.3, maxHeight: 7.5 }
+        }
+    };
+
+    // 'smoke': both circuits smoke, alternating across one grid; 'smoke-heat': circuit A smoke
+    // and circuit B heat, each laid out for full coverage
+    const DETECTOR_TYPES = ['smoke', 'smoke-heat'];
+
+    const ALARM_DEVICES = {
+        STROBE_COVERAGE: 188        // m² per 75 cd sounder-strobe (13.7 m square room)
+    };
+
+    // Pressure relief dampers: free area in m², priceFactor scales the ventDamper multiplier
+    const VENT_DAMPERS = [
+        { id: '300x300', label: '300 x 300 mm', freeArea: 0.06, priceFactor: 0.70 },
+        { id: '450x450', label: '450 x 450 mm', freeArea: 0.13, priceFactor: 1.00 },
+        { id: '600x600', label: '600 x 600 mm', freeArea: 0.25, priceFactor: 1.55 }
+    ];
+
+    // Schedule 40 steel pipe: internal diameter in mm, priceFactor scales pipingCostPerMeter (DN32 = 1.0)
+    const PIPE_SIZES = [
+        { id: 'DN15', nominal: '1/2"', diameter: 15.8, priceFactor: 0.60 },
+        { id: 'DN20', nominal: '3/4"', diameter: 20.9, priceFactor: 0.70 },
+        { id: 'DN25', nominal: '1"', diameter: 26.6, priceFactor: 0.85 },
+        { id: 'DN32', nominal: '1-1/4"', diameter: 35.1, priceFactor: 1.00 },
+        { id: 'DN40', nominal: '1-1/2"', diameter: 40.9, priceFactor: 1.15 },
+        { id: 'DN50', nominal: '2"', diameter: 52.5, priceFactor: 1.40 },
+        { id: 'DN65', nominal: '2-1/2"', diameter: 62.7, priceFactor: 1.80 },
+        { id: 'DN80', nominal: '3"', diameter: 77.9, priceFactor: 2.20 },
+        { id: 'DN100', nominal: '4"', diameter: 102.3, priceFactor: 3.00 },
+        { id: 'DN125', nominal: '5"', diameter: 128.2, priceFactor: 3.90 },
+        { id: 'DN150', nominal: '6"', diameter: 154.1, priceFactor: 4.80 }
+    ];
+
+    // Fitting equivalent lengths in pipe diameters, pipe roughness (mm), nozzle orifice
+    // discharge coefficient, drill increment (mm) and the network acceptance limits
+    const HYDRAULICS = {
+        EQUIVALENT_LENGTH: { elbow: 30, tee: 60 },
+        PIPE_ROUGHNESS: 0.045,
+        ORIFICE_COEFFICIENT: 0.65,
+        ORIFICE_STEP: 0.5,
+        MIN_ORIFICE_DIAMETER: 2.0,
+        MIN_AREA_RATIO: 0.10,       // nozzle orifice area / pipe area
+        MAX_AREA_RATIO: 0.80,
+        MAX_PRESSURE_IMBALANCE: 20  // % spread of nozzle pressures
+    };
+
+    // Clean agent registry: vapour constants S = k1 + k2·T (m³/kg), NFPA 2001 design
+    // concentration limits (%), minimum extinguishing concentrations (Class A and cup-burner
+    // values per fuel, %), NOAEL/LOAEL (%) with the egress time (min) allowed between them,
+    // container catalogue, the cost multiplier used for agent price and simplified flow
+    // properties (mean container pressure and minimum nozzle pressure in bar, mean flowing
+    // density in kg/m³, mass flux range in kg/m²·s, design and maximum discharge times in s)
+    const AGENTS = {
+        'hfc-227ea': {
+            id: 'hfc-227ea',
+            name: 'FM-200 (HFC-227ea)',
+            shortName: 'FM-200',
+            type: 'halocarbon',
+            k1: 0.1269,
+            k2: 0.000513,
+            minConcentration: 7.0,
+            maxConcentration: 10.5,
+            defaultConcentration: 7.5,
+            cylinderCatalogue: DEFAULT_CYLINDER_CATALOGUE,
+            extinguishing: {
+                classA: 5.8,
+                fuels: { 'n-heptane': 6.7, 'acetone': 6.5, 'ethanol': 7.6, 'methanol': 9.9, 'isopropanol': 7.3, 'toluene': 5.1, 'diesel': 6.7 }
+            },
+            noael: 9.0,
+            loael: 10.5,
+            egressLimit: 5,
+            occupiedPermitted: true,
+            priceKey: 'agentCostPerKg',
+            hydraulics: { supplyPressure: 17.0, minNozzlePressure: 5.2, density: 1100, minMassFlux: 2000, maxMassFlux: 9000, dischargeTime: 9, maxDischargeTime: 10 }
+        },
+        'fk-5-1-12': {
+            id: 'fk-5-1-12',
+            name: 'Novec 1230 (FK-5-1-12)',
+            shortName: 'Novec 1230',
+            type: 'halocarbon',
+            k1: 0.0664,
+            k2: 0.0002741,
+            minConcentration: 4.2,
+            maxConcentration: 10.0,
+            defaultConcentration: 4.7,
+            cylinderCatalogue: DEFAULT_CYLINDER_CATALOGUE.map(c => ({
+                ...c, maxFill: round(c.volume * 1.2, 1)
+            })),
+            extinguishing: {
+                classA: 3.5,
+                fuels: { 'n-heptane': 4.5, 'acetone': 4.5, 'ethanol': 5.0, 'methanol': 8.5, 'isopropanol': 4.7, 'toluene': 3.3, 'diesel': 4.5 }
+            },
+            noael: 10.0,
+            loael: null,
+            egressLimit: 5,
+            occupiedPermitted: true,
+            priceKey: 'novecCostPerKg',
+            hydraulics: { supplyPressure: 16.0, minNozzlePressure: 4.5, density: 1300, minMassFlux: 2000, maxMassFlux: 9000, dischargeTime: 9, maxDischargeTime: 10 }
+        },
+        'ig-541': {
+            id: 'ig-541',
+            name: 'Inergen (IG-541)',
+            shortName: 'IG-541',
+            type: 'inert',
+            k1: 0.65799,
+            k2: 0.00239,
+            minConcentration: 34.2,
+            maxConcentration: 52.0,
+            defaultConcentration: 38.5,
+            cylinderCatalogue: INERT_CYLINDER_CATALOGUES['ig-541'],
+            extinguishing: {
+                classA: 28.5,
+                fuels: { 'n-heptane': 31.25, 'acetone': 30.3, 'ethanol': 35.0, 'methanol': 44.2 }
+            },
+            noael: 43.0,
+            loael: 52.0,
+            egressLimit: 3,
+            occupiedPermitted: true,
+            priceKey: 'ig541CostPerKg',
+            hydraulics: { supplyPressure: 60.0, minNozzlePressure: 10.0, density: 55, minMassFlux: 0, maxMassFlux: 6000, dischargeTime: 50, maxDischargeTime: 60 }
+        },
+        'ig-55': {
+            id: 'ig-55',
+            name: 'Argonite (IG-55)',
+            shortName: 'IG-55',
+            type: 'inert',
+            k1: 0.6598,
+            k2: 0.002416,
+            minConcentration: 35.0,
+            maxConcentration: 52.0,
+            defaultConcentration: 40.0,
+            cylinderCatalogue: INERT_CYLINDER_CATALOGUES['ig-55'],
+            extinguishing: {
+                classA: 29.2,
+                fuels: { 'n-heptane': 32.3, 'acetone': 30.7, 'ethanol': 35.0 }
+            },
+            noael: 43.0,
+            loael: 52.0,
+            egressLimit: 3,
+            occupiedPermitted: true,
+            priceKey: 'ig55CostPerKg',
+            hydraulics: { supplyPressure: 60.0, minNozzlePressure: 10.0, density: 60, minMassFlux: 0, maxMassFlux: 6000, dischargeTime: 50, maxDischargeTime: 60 }
+        },
+        'co2': {
+            id: 'co2',
+            name: 'Carbon Dioxide (CO2)',
+            shortName: 'CO2',
+            type: 'inert',
+            k1: 0.5093,
+            k2: 0.001865,
+            minConcentration: 34.0,
+            maxConcentration: 75.0,
+            defaultConcentration: 50.0,
+            cylinderCatalogue: INERT_CYLINDER_CATALOGUES['co2'],
+            // NFPA 12 theoretical minimums with a flat 20% margin for every class
+            extinguishing: {
+                classA: 28.0,
+                fuels: { 'n-heptane': 28.0, 'acetone': 27.0, 'ethanol': 36.0, 'methanol': 33.0, 'toluene': 28.0, 'diesel': 28.0 }
+            },
+            safetyFactors: { A: 1.2, B: 1.2, C: 1.2 },
+            noael: null,
+            loael: null,
+            egressLimit: 0,
+            occupiedPermitted: false,
+            priceKey: 'co2CostPerKg',
+            hydraulics: { supplyPressure: 45.0, minNozzlePressure: 20.7, density: 600, minMassFlux: 1000, maxMassFlux: 8000, dischargeTime: 50, maxDischargeTime: 60 }
+        }
+    };
+
+    const DEFAULT_COST_MULTIPLIERS = {
+        "agentCostPerKg": 4000.00,        // INR per kg (FM-200)
+        "novecCostPerKg": 5200.00,        // INR per kg
+        "ig541CostPerKg": 650.00,         // INR per kg
+        "ig55CostPerKg": 500.00,          // INR per kg
+        "co2CostPerKg": 150.00,           // INR per kg
+        "cylinderCost": 90000.00,         // INR per 52 L cylinder (scaled by catalogue priceFactor)
+        "nozzleCost": 8000.00,           // INR per nozzle
+        "pipingCostPerMeter": 1200.00,   // INR per meter
+        "fittingsCost": 15000.00,        // INR
+        "valveAssembly": 25000.00,       // INR
+        "selectorValve": 35000.00,       // INR per protected hazard
+        "mountingHardware": 5000.00,     // INR
+        "detectionPanel": 120000.00,     // INR
+        "smokeDetector": 4500.00,        // INR
+        "heatDetector": 3800.00,         // INR
+        "manualCallPoint": 2500.00,      // INR per manual release station
+        "abortStation": 3000.00,         // INR
+        "hooterStrobe": 3500.00,         // INR
+        "warningSigns": 2000.00,         // INR
+        "ventDamper": 45000.00,          // INR per 450 x 450 mm pressure relief damper
+        "installationLaborPerHour": 850.00,  // INR per hour
+        "engineeringDesign": 75000.00,   // INR
+        "commissioningTesting": 50000.00, // INR
+        "documentation": 15000.00,       // INR
+        "installationFactor": 1.28,      // 28% installation factor
+        "engineeringFactor": 1.15,       // 15% engineering factor
+        "contingencyFactor": 1.18        // 18% contingency
+    };
+
+    // Built-in price list used when no data file or imported list can be loaded
+    const DEFAULT_PRICE_LIST = {
+        version: 'built-in',
+        currency: 'INR',
+        costMultipliers: DEFAULT_COST_MULTIPLIERS,
+        cylinderCatalogues: {}
+    };
+
+    // Every costMultipliers key: editor label, price-list group and allowed range (no max = open-ended).
+    // Prices are in the list's own currency; factors are multipliers on the equipment subtotal (1.18 = +18%)
+    const COST_MULTIPLIER_FIELDS = {
+        agentCostPerKg: { name: 'FM-200 (HFC-227ea) agent', group: 'agents', unit: 'per kg', min: 0 },
+        novecCostPerKg: { name: 'Novec 1230 (FK-5-1-12) agent', group: 'agents', unit: 'per kg', min: 0 },
+        ig541CostPerKg: { name: 'Inergen (IG-541) agent', group: 'agents', unit: 'per kg', min: 0 },
+        ig55CostPerKg: { name: 'Argonite (IG-55) agent', group: 'agents', unit: 'per kg', min: 0 },
+        co2CostPerKg: { name: 'CO2 agent', group: 'agents', unit: 'per kg', min: 0 },
+        cylinderCost: { name: 'Cylinder (52 L reference)', group: 'cylinders', unit: 'each', min: 0 },
+        valveAssembly: { name: 'Valve assembly', group: 'cylinders', unit: 'each', min: 0 },
+        selectorValve: { name: 'Selector valve', group: 'cylinders', unit: 'each', min: 0 },
+        mountingHardware: { name: 'Mounting hardware', group: 'cylinders', unit: 'per cylinder', min: 0 },
+        nozzleCost: { name: 'Discharge nozzle', group: 'distribution', unit: 'each', min: 0 },
+        pipingCostPerMeter: { name: 'Piping', group: 'distribution', unit: 'per m', min: 0 },
+        fittingsCost: { name: 'Fittings & accessories', group: 'distribution', unit: 'lot', min: 0 },
+        detectionPanel: { name: 'Detection & control panel', group: 'detection', unit: 'each', min: 0 },
+        smokeDetector: { name: 'Smoke detector', group: 'detection', unit: 'each', min: 0 },
+        heatDetector: { name: 'Heat detector', group: 'detection', unit: 'each', min: 0 },
+        manualCallPoint: { name: 'Manual release station', group: 'detection', unit: 'each', min: 0 },
+        abortStation: { name: 'Abort station', group: 'detection', unit: 'each', min: 0 },
+        hooterStrobe: { name: 'Hooter / strobe', group: 'detection', unit: 'each', min: 0 },
+        warningSigns: { name: 'Warning signs', group: 'detection', unit: 'set', min: 0 },
+        ventDamper: { name: 'Pressure relief damper', group: 'venting', unit: 'each', min: 0 },
+        installationLaborPerHour: { name: 'Installation labour', group: 'labour', unit: 'per hour', min: 0 },
+        engineeringDesign: { name: 'Engineering design', group: 'labour', unit: 'lot', min: 0 },
+        commissioningTesting: { name: 'Commissioning & testing', group: 'labour', unit: 'lot', min: 0 },
+        documentation: { name: 'Documentation', group: 'labour', unit: 'lot', min: 0 },
+        installationFactor: { name: 'Installation factor', group: 'factors', unit: 'multiplier', min: 1, max: 2 },
+        engineeringFactor: { name: 'Engineering factor', group: 'factors', unit: 'multiplier', min: 1, max: 2 },
+        contingencyFactor: { name: 'Contingency factor', group: 'factors', unit: 'multiplier', min: 1, max: 2 }
+    };
+
+    const COST_MULTIPLIER_GROUPS = {
+        agents: 'Extinguishing Agents',
+        cylinders: 'Cylinders & Valves',
+        distribution: 'Nozzles & Piping',
+        detection: 'Detection & Alarm',
+        venting: 'Pressure Relief Venting',
+        labour: 'Labour & Services',
+        factors: 'Percentage Adjustments'
+    };
+
+    // Units of currency per US dollar, matching data.json; costs convert through USD
+    const DEFAULT_EXCHANGE_RATES = {
+        USD: 1.00,
+        EUR: 0.92,
+        INR: 83.50,
+        AED: 3.67
+    };
+
+    // Standard rate (%) per jurisdiction; India splits GST by supplier state and place of supply
+    const TAX_JURISDICTIONS = {
+        none: { name: 'No tax (export / exempt supply)', tax: null, rate: 0 },
+        IN: { name: 'India - GST', tax: 'GST', rate: 18, splitByState: true },
+        AE: { name: 'United Arab Emirates - VAT', tax: 'VAT', rate: 5 }
+    };
+
+    // GST state codes; union territories without a legislature charge UTGST instead of SGST
+    const INDIAN_STATES = [
+        { code: '01', name: 'Jammu and Kashmir' },
+        { code: '02', name: 'Himachal Pradesh' },
+        { code: '03', name: 'Punjab' },
+        { code: '04', name: 'Chandigarh', ut: true },
+        { code: '05', name: 'Uttarakhand' },
+        { code: '06', name: 'Haryana' },
+        { code: '07', name: 'Delhi' },
+        { code: '08', name: 'Rajasthan' },
+        { code: '09', name: 'Uttar Pradesh' },
+        { code: '10', name: 'Bihar' },
+        { code: '11', name: 'Sikkim' },
+        { code: '12', name: 'Arunachal Pradesh' },
+        { code: '13', name: 'Nagaland' },
+        { code: '14', name: 'Manipur' },
+        { code: '15', name: 'Mizoram' },
+        { code: '16', name: 'Tripura' },
+        { code: '17', name: 'Meghalaya' },
+        { code: '18', name: 'Assam' },
+        { code: '19', name: 'West Bengal' },
+        { code: '20', name: 'Jharkhand' },
+        { code: '21', name: 'Odisha' },
+        { code: '22', name: 'Chhattisgarh' },
+        { code: '23', name: 'Madhya Pradesh' },
+        { code: '24', name: 'Gujarat' },
+        { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu', ut: true },
+        { code: '27', name: 'Maharashtra' },
+        { code: '29', name: 'Karnataka' },
+        { code: '30', name: 'Goa' },
+        { code: '31', name: 'Lakshadweep', ut: true },
+        { code: '32', name: 'Kerala' },
+        { code: '33', name: 'Tamil Nadu' },
+        { code: '34', name: 'Puducherry' },
+        { code: '35', name: 'Andaman and Nicobar Islands', ut: true },
+        { code: '36', name: 'Telangana' },
+        { code: '37', name: 'Andhra Pradesh' },
+        { code: '38', name: 'Ladakh', ut: true }
+    ];
+
+    // Project files (.fm200.json): bump the version when the layout changes and add a migration step
+    const PROJECT_FILE = {
+        format: 'fm200-project',
+        version: 1,
+        extension: '.fm200.json'
+    };
+
+    // ============================================================================
+    // UTILITY FUNCTIONS
+    // ============================================================================
+
+    function round(value, decimals) {
+        if (isNaN(value) || value === null || value === undefined) return 0;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    // ============================================================================
+    // UNIT CONVERSION
+    // ============================================================================
+
+    function getUnitConversion(quantity) {
+        const conversion = UNIT_CONVERSIONS[quantity];
+        if (!conversion) {
+            throw new Error(`Unknown unit quantity: ${quantity}`);
+        }
+        return conversion;
+    }
+
+    function unitLabel(quantity, system) {
+        const conversion = getUnitConversion(quantity);
+        return system === 'imperial' ? conversion.imperial : conversion.metric;
+    }
+
+    // SI value to the display system; blank values pass through
+    function fromSI(value, quantity, system) {
+        const conversion = getUnitConversion(quantity);
+        if (value === null || value === undefined || system !== 'imperial') return value;
+        return value * conversion.factor + (conversion.offset || 0);
+    }
+
+    function toSI(value, quantity, system) {
+        const conversion = getUnitConversion(quantity);
+        if (value === null || value === undefined || system !== 'imperial') return value;
+        return (value - (conversion.offset || 0)) / conversion.factor;
+    }
+
+    // ============================================================================
+    // INPUT VALIDATION
+    // ============================================================================
+
+    function getAgent(agentId) {
+        return AGENTS[agentId || CONSTANTS.DEFAULT_AGENT] || null;
+    }
+
+    // Minimum design concentration = extinguishing concentration × hazard safety factor,
+    // never below the agent's listed minimum; trace records each step for the results page
+    function deriveDesignConcentration(input) {
+        const agent = getAgent(input.agent);
+        const hazard = HAZARD_CLASSES[input.hazardClass];
+        if (!agent) throw new Error(`Unknown agent: ${input.agent}`);
+        if (!hazard) throw new Error(`Unknown hazard class: ${input.hazardClass}`);
+
+        let extinguishingConcentration = agent.extinguishing.classA;
+        let basis = `${agent.shortName} Class A minimum extinguishing concentration`;
+        if (hazard.basis === 'fuel') {
+            extinguishingConcentration = agent.extinguishing.fuels[input.fuel];
+            if (extinguishingConcentration === undefined) {
+                throw new Error(`No ${agent.shortName} cup-burner value for fuel: ${FUELS[input.fuel] || input.fuel || 'none selected'}`);
+            }
+            basis = `${agent.shortName} cup-burner value for ${FUELS[input.fuel]}`;
+        }
+
+        const standardSafetyFactor = (agent.safetyFactors && agent.safetyFactors[hazard.id]) || hazard.safetyFactor;
+        const userSafetyFactor = getExpertFactor(input, 'safetyFactor');
+        const safetyFactor = userSafetyFactor !== null ? userSafetyFactor : standardSafetyFactor;
+        const calculated = extinguishingConcentration * safetyFactor;
+        // Round up so the design value never falls below the calculated minimum
+        const minimumDesign = Math.max(agent.minConcentration, Math.ceil(round(calculated * 10, 6)) / 10);
+
+        const steps = [
+            `${hazard.name}: ${basis} = ${extinguishingConcentration}%`,
+            userSafetyFactor !== null
+                ? `Expert safety factor ${safetyFactor} (NFPA minimum ${standardSafetyFactor}) → ${round(calculated, 2)}%`
+                : `Safety factor ${safetyFactor} → ${round(calculated, 2)}%`
+        ];
+        if (minimumDesign > Math.ceil(round(calculated * 10, 6)) / 10) {
+            steps.push(`Raised to the ${agent.shortName} listed minimum of ${agent.minConcentration}%`);
+        }
+        steps.push(`Minimum design concentration ${minimumDesign}%`);
+
+        return {
+            agent: agent.id,
+            hazardClass: hazard.id,
+            hazardClassName: hazard.name,
+            fuel: hazard.basis === 'fuel' ? input.fuel : null,
+            fuelName: hazard.basis === 'fuel' ? FUELS[input.fuel] : null,
+            basis,
+            extinguishingConcentration,
+            safetyFactor,
+            standardSafetyFactor,
+            minimumDesignConcentration: minimumDesign,
+            withinAgentLimits: minimumDesign <= agent.maxConcentration,
+            steps
+        };
+    }
+
+    // Blank expert fields come through as null and fall back to the standard value
+    function getExpertFactor(input, key) {
+        const value = input.expertFactors ? input.expertFactors[key] : null;
+        return value === undefined || value === null ? null : value;
+    }
+
+    function validateInput(input) {
+        const errors = [];
+
+        if (!(input.roomLength > 0) || !(input.roomWidth > 0) || !(input.roomHeight > 0)) {
+            errors.push('Room dimensions must be greater than zero');
+        }
+
+        const agent = getAgent(input.agent);
+        if (!agent) {
+            errors.push(`Unknown agent: ${input.agent}`);
+        } else if (!(input.concentration >= agent.minConcentration) ||
+                   !(input.concentration <= agent.maxConcentration)) {
+            errors.push(`${agent.shortName} concentration must be between ${agent.minConcentration.toFixed(1)}% and ${agent.maxConcentration.toFixed(1)}%`);
+        }
+
+        if (agent && input.hazardClass) {
+            try {
+                const derivation = deriveDesignConcentration(input);
+                if (!derivation.withinAgentLimits) {
+                    errors.push(`${derivation.fuelName || derivation.hazardClassName} needs ${derivation.minimumDesignConcentration}% ${agent.shortName}, above its ${agent.maxConcentration}% maximum`);
+                } else if (input.concentration < derivation.minimumDesignConcentration) {
+                    errors.push(`Design concentration must be at least ${derivation.minimumDesignConcentration}% for ${derivation.fuelName || derivation.hazardClassName}`);
+                }
+                if (derivation.safetyFactor < derivation.standardSafetyFactor) {
+                    errors.push(`Safety factor cannot be below the NFPA 2001 minimum of ${derivation.standardSafetyFactor} for ${derivation.hazardClassName}`);
+                }
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (isNaN(input.designTemperature) || isNaN(input.altitude)) {
+            errors.push('Design temperature and altitude must be numbers');
+        }
+
+        if (input.maxTemperature !== undefined && input.maxTemperature !== null) {
+            if (isNaN(input.maxTemperature)) {
+                errors.push('Maximum temperature must be a number');
+            } else if (input.maxTemperature < input.designTemperature) {
+                errors.push('Maximum temperature cannot be below the design temperature');
+            }
+        }
+
+        if (input.occupancy && !OCCUPANCY_TYPES.includes(input.occupancy)) {
+            errors.push(`Occupancy must be one of: ${OCCUPANCY_TYPES.join(', ')}`);
+        }
+
+        if (input.egressTime < 0) {
+            errors.push('Egress time cannot be negative');
+        }
+
+        if (input.nozzleType && !NOZZLE_TYPES[input.nozzleType]) {
+            errors.push(`Nozzle type must be one of: ${Object.keys(NOZZLE_TYPES).join(', ')}`);
+        }
+
+        if (input.detectionStandard && !DETECTION_STANDARDS[input.detectionStandard]) {
+            errors.push(`Detection standard must be one of: ${Object.keys(DETECTION_STANDARDS).join(', ')}`);
+        }
+
+        if (input.detectorType && !DETECTOR_TYPES.includes(input.detectorType)) {
+            errors.push(`Detector type must be one of: ${DETECTOR_TYPES.join(', ')}`);
+        }
+
+        if (input.exitCount !== undefined && input.exitCount !== null &&
+            (!Number.isInteger(input.exitCount) || input.exitCount < 1)) {
+            errors.push('Number of exits must be a whole number of at least 1');
+        }
+
+        if (input.integrity) {
+            errors.push(...validateIntegrity(input.integrity, input.roomHeight));
+        }
+
+        if (input.venting) {
+            if (!(input.venting.wallStrength > 0)) {
+                errors.push('Wall strength must be greater than zero');
+            }
+            if (input.venting.leakageArea !== undefined && input.venting.leakageArea !== null && !(input.venting.leakageArea >= 0)) {
+                errors.push('Existing leakage area cannot be negative');
+            }
+        }
+
+        if (input.cylinderStrategy && !CYLINDER_STRATEGIES.includes(input.cylinderStrategy)) {
+            errors.push(`Cylinder selection must be one of: ${CYLINDER_STRATEGIES.join(', ')}`);
+        }
+
+        Object.keys(EXPERT_FACTORS).forEach(key => {
+            const value = getExpertFactor(input, key);
+            const limits = EXPERT_FACTORS[key];
+            if (value !== null && (isNaN(value) || value < limits.min || value > limits.max)) {
+                errors.push(`${limits.name} must be between ${limits.min} and ${limits.max}`);
+            }
+        });
+
+        if (input.pipeNetwork && input.pipeNetwork.length > 0) {
+            errors.push(...validatePipeNetwork(input.pipeNetwork));
+        }
+
+        if (input.raisedFloorDepth < 0 || input.ceilingVoidDepth < 0) {
+            errors.push('Void depths cannot be negative');
+        }
+
+        (input.obstructions || []).forEach((obstruction, index) => {
+            const label = obstruction.name || `Obstruction ${index + 1}`;
+            if (!(obstruction.length > 0) || !(obstruction.width > 0) || !(obstruction.height > 0)) {
+                errors.push(`${label}: dimensions must be greater than zero`);
+            }
+            if (!Number.isInteger(obstruction.quantity) || obstruction.quantity < 1) {
+                errors.push(`${label}: quantity must be a whole number of at least 1`);
+            }
+        });
+
+        if (errors.length === 0 && input.obstructions && input.obstructions.length > 0) {
+            const grossVolume = input.roomLength * input.roomWidth * input.roomHeight;
+            if (calculateObstructionVolume(input.obstructions).totalVolume >= grossVolume) {
+                errors.push('Obstruction volume must be less than the gross room volume');
+            }
+        }
+
+        return errors;
+    }
+
+    // ============================================================================
+    // CORE CALCULATION
+    // ============================================================================
+
+    function calculateSpecificVaporVolume(temperature, agentId) {
+        const agent = getAgent(agentId) || AGENTS[CONSTANTS.DEFAULT_AGENT];
+        return agent.k1 + (agent.k2 * temperature);
+    }
+
+    // Linear interpolation between table rows; altitudes beyond the table use the end values
+    function calculateAtmosphericCorrection(altitude) {
+        const table = ATMOSPHERIC_CORRECTION_TABLE;
+        const alt = altitude || 0;
+
+        if (alt <= table[0].altitude) return table[0].factor;
+        if (alt >= table[table.length - 1].altitude) return table[table.length - 1].factor;
+
+        const upper = table.findIndex(row => row.altitude >= alt);
+        const lo = table[upper - 1];
+        const hi = table[upper];
+        return lo.factor + ((alt - lo.altitude) / (hi.altitude - lo.altitude)) * (hi.factor - lo.factor);
+    }
+
+    // Solid, non-removable objects (racks, columns, ducts, beams) deducted from gross volume
+    function calculateObstructionVolume(obstructions) {
+        const items = (obstructions || []).map((obstruction, index) => {
+            const unitVolume = obstruction.length * obstruction.width * obstruction.height;
+            return {
+                name: obstruction.name || `Obstruction ${index + 1}`,
+                length: obstruction.length,
+                width: obstruction.width,
+                height: obstruction.height,
+                quantity: obstruction.quantity,
+                unitVolume: round(unitVolume, 3),
+                volume: round(unitVolume * obstruction.quantity, 3)
+            };
+        });
+
+        const totalVolume = items.reduce((sum, item) => sum + item.volume, 0);
+
+        return { items, totalVolume: round(totalVolume, 3) };
+    }
+
+    // Halocarbons: W = V/S · C/(100 − C); inert gases and CO2: W = V/S · ln(100/(100 − C))
+    function calculateAgentWeight(volume, specificVaporVolume, concentration, agentId) {
+        const agent = getAgent(agentId) || AGENTS[CONSTANTS.DEFAULT_AGENT];
+        const floodingFactor = agent.type === 'inert'
+            ? Math.log(100 / (100 - concentration))
+            : concentration / (100 - concentration);
+        return (volume / specificVaporVolume) * floodingFactor;
+    }
+
+    // Inverse of the flooding formula: concentration produced by a given agent mass
+    function calculateConcentration(agentWeight, volume, specificVaporVolume, agentId) {
+        const agent = getAgent(agentId) || AGENTS[CONSTANTS.DEFAULT_AGENT];
+        const x = (agentWeight * specificVaporVolume) / volume;
+        return agent.type === 'inert' ? 100 * (1 - Math.exp(-x)) : 100 * x / (1 + x);
+    }
+
+    // NOAEL/LOAEL exposure check using the agent actually discharged into each zone,
+    // evaluated at the highest expected room temperature
+    function assessOccupationalSafety(input, zoneResults, altitudeFactor) {
+        const agent = getAgent(input.agent);
+        const occupancy = input.occupancy || 'occupied';
+        const occupied = occupancy === 'occupied';
+        const maxTemperature = input.maxTemperature !== undefined && input.maxTemperature !== null
+            ? input.maxTemperature
+            : input.designTemperature;
+        const specificVaporVolume = calculateSpecificVaporVolume(maxTemperature, agent.id);
+
+        const zones = zoneResults.map(zone => ({
+            zone: zone.name,
+            concentration: round(calculateConcentration(zone.cylinders.agentSupplied / altitudeFactor,
+                                                        zone.netVolume, specificVaporVolume, agent.id), 2)
+        }));
+        const worst = zones.reduce((a, b) => (b.concentration > a.concentration ? b : a));
+        const at = `${worst.concentration}% at ${maxTemperature} °C`;
+
+        const warnings = [];
+        const warn = (level, message) => warnings.push({ level, source: 'safety', message });
+
+        if (!agent.occupiedPermitted) {
+            warn(occupied ? 'danger' : 'caution', occupied
+                ? `${agent.shortName} total flooding is not permitted in normally occupied spaces (${at})`
+                : `${agent.shortName} design concentrations are lethal: provide a lock-out valve, pre-discharge alarm and time delay`);
+        } else if (agent.loael !== null && worst.concentration > agent.loael) {
+            warn(occupied ? 'danger' : 'caution', occupied
+                ? `${at} exceeds the ${agent.shortName} LOAEL of ${agent.loael}% - not permitted in a normally occupied space`
+                : `${at} exceeds the ${agent.shortName} LOAEL of ${agent.loael}% - lock out the system whenever the space is entered`);
+        } else if (worst.concentration > agent.noael) {
+            if (!occupied) {
+                warn('caution', `${at} exceeds the ${agent.shortName} NOAEL of ${agent.noael}% - limit entry and provide a pre-discharge alarm`);
+            } else if (input.egressTime > agent.egressLimit) {
+                warn('danger', `${at} exceeds the ${agent.shortName} NOAEL of ${agent.noael}% and egress of ${input.egressTime} min is longer than the ${agent.egressLimit} min permitted`);
+            } else {
+                warn('caution', `${at} exceeds the ${agent.shortName} NOAEL of ${agent.noael}% - occupants must be able to egress within ${agent.egressLimit} min`);
+            }
+        }
+
+        const levels = warnings.map(w => w.level);
+        return {
+            occupancy,
+            maxTemperature,
+            maxConcentration: worst.concentration,
+            governingZone: worst.zone,
+            zones,
+            noael: agent.noael,
+            loael: agent.loael,
+            egressTime: input.egressTime !== undefined ? input.egressTime : null,
+            egressLimit: agent.egressLimit,
+            status: levels.includes('danger') ? 'danger' : levels.includes('caution') ? 'caution' : 'ok',
+            warnings
+        };
+    }
+
+    // Picks one container size per bank: every size is filled as evenly as possible,
+    // sizes that would fall under their minimum fill are dropped, then the cheapest
+    // (or fewest containers) wins
+    function selectCylinders(agentWeight, options = {}) {
+        const catalogue = (options.cylinderCatalogue || DEFAULT_CYLINDER_CATALOGUE)
+            .filter(c => c.maxFill > 0 && c.minFill >= 0 && c.minFill <= c.maxFill);
+        if (catalogue.length === 0) {
+            throw new Error('Cylinder catalogue has no valid container sizes');
+        }
+
+        const m = options.costMultipliers || DEFAULT_COST_MULTIPLIERS;
+        const strategy = options.strategy || 'cost';
+
+        const candidates = catalogue.map(c => {
+            const count = Math.max(1, Math.ceil(agentWeight / c.maxFill));
+            const fillPerContainer = c.fullCharge ? c.maxFill : agentWeight / count;
+            const unitCost = m.cylinderCost * (c.priceFactor || 1) + m.valveAssembly + m.mountingHardware;
+            return {
+                id: c.id,
+                label: c.pressure ? `${c.volume} L @ ${c.pressure} bar` : `${c.volume} L`,
+                volume: c.volume,
+                minFill: c.minFill,
+                maxFill: c.maxFill,
+                priceFactor: c.priceFactor || 1,
+                count: count,
+                fillPerContainer: round(fillPerContainer, 2),
+                fillDensity: round(fillPerContainer / c.volume, 3),
+                fillRatio: round((fillPerContainer / c.maxFill) * 100, 1),
+                agentSupplied: round(fillPerContainer * count, 2),
+                fullCharge: Boolean(c.fullCharge),
+                withinLimits: fillPerContainer >= c.minFill,
+                totalCost: round(count * unitCost, 2)
+            };
+        });
+
+        const byCost = (a, b) => a.totalCost - b.totalCost || a.count - b.count || a.volume - b.volume;
+        const byCount = (a, b) => a.count - b.count || a.totalCost - b.totalCost || a.volume - b.volume;
+
+        const valid = candidates.filter(c => c.withinLimits);
+        if (valid.length === 0) {
+            // Smaller than the smallest container's minimum fill: use the smallest and flag it
+            return { ...candidates.reduce((a, b) => (b.maxFill < a.maxFill ? b : a)), strategy };
+        }
+
+        return { ...valid.sort(strategy === 'count' ? byCount : byCost)[0], strategy };
+    }
+
+    function describeCylinders(selections) {
+        return selections.map(s => `${s.count} x ${s.label || `${s.volume} L`}`).join(' + ');
+    }
+
+    // Room plus optional raised-floor and ceiling voids, each flooded as its own sub-volume
+    function buildZones(input) {
+        const { roomLength, roomWidth, roomHeight } = input;
+        const obstructions = calculateObstructionVolume(input.obstructions);
+
+        const zones = [{
+            key: 'room',
+            name: 'Room',
+            height: roomHeight,
+            grossVolume: roomLength * roomWidth * roomHeight,
+            obstructionVolume: obstructions.totalVolume,
+            minNozzles: CONSTANTS.MIN_NOZZLES
+        }];
+
+        if (input.raisedFloorDepth > 0) {
+            zones.push({
+                key: 'raisedFloor',
+                name: 'Raised Floor Void',
+                height: input.raisedFloorDepth,
+                grossVolume: roomLength * roomWidth * input.raisedFloorDepth,
+                obstructionVolume: 0,
+                minNozzles: 1
+            });
+        }
+
+        if (input.ceilingVoidDepth > 0) {
+            zones.push({
+                key: 'ceilingVoid',
+                name: 'Ceiling Void',
+                height: input.ceilingVoidDepth,
+                grossVolume: roomLength * roomWidth * input.ceilingVoidDepth,
+                obstructionVolume: 0,
+                minNozzles: 1
+            });
+        }
+
+        return { zones, obstructions };
+    }
+
+    // Every factor applied to the agent quantity, with where its value came from
+    function resolveCorrections(input, concentrationTrace) {
+        const corrections = [];
+        const add = (key, value, source, unit) => corrections.push({
+            key, name: EXPERT_FACTORS[key].name, value: round(value, 4), unit: unit || '', source
+        });
+        const pick = (key, standard, standardSource) => {
+            const value = getExpertFactor(input, key);
+            add(key, value !== null ? value : standard, value !== null ? 'Expert override' : standardSource,
+                key === 'designMargin' ? '%' : '');
+            return value !== null ? value : standard;
+        };
+
+        const altitudeFactor = pick('altitudeFactor', calculateAtmosphericCorrection(input.altitude || 0), 'NFPA 2001 table');
+        const highTempFactor = pick('highTempFactor', 1, 'Default');
+        const criticalAreaFactor = pick('criticalAreaFactor', 1, 'Default');
+        const designMargin = pick('designMargin', 0, 'Default');
+        if (concentrationTrace) {
+            add('safetyFactor', concentrationTrace.safetyFactor,
+                getExpertFactor(input, 'safetyFactor') !== null ? 'Expert override' : 'NFPA 2001 minimum');
+        }
+
+        return {
+            altitudeFactor,
+            quantityFactor: altitudeFactor * highTempFactor * criticalAreaFactor * (1 + designMargin / 100),
+            items: corrections
+        };
+    }
+
+    function calculateZone(zone, input, specificVaporVolume, quantityFactor, options) {
+        const { roomLength, roomWidth, concentration } = input;
+        const agent = getAgent(input.agent);
+
+        const netVolume = zone.grossVolume - zone.obstructionVolume;
+        const agentWeight = calculateAgentWeight(netVolume, specificVaporVolume, concentration, agent.id) * quantityFactor;
+
+        const nozzleLayout = planNozzleLayout(roomLength, roomWidth, zone.height, {
+            type: input.nozzleType,
+            minNozzles: zone.minNozzles
+        });
+        const cylinders = selectCylinders(agentWeight, {
+            ...options,
+            cylinderCatalogue: getCylinderCatalogue(agent, options),
+            strategy: input.cylinderStrategy
+        });
+
+        // Room gets the full perimeter run; voids get a branch along one length and width
+        const pipingLength = zone.key === 'room'
+            ? (roomLength + roomWidth) * 2 + (zone.height * 2)
+            : (roomLength + roomWidth) + (zone.height * 2);
+
+        return {
+            key: zone.key,
+            name: zone.name,
+            height: zone.height,
+            grossVolume: round(zone.grossVolume, 2),
+            obstructionVolume: round(zone.obstructionVolume, 2),
+            netVolume: round(netVolume, 2),
+            agentWeight: round(agentWeight, 2),
+            cylinderCount: cylinders.count,
+            cylinders: cylinders,
+            nozzleCount: nozzleLayout.positions.length,
+            nozzleLayout: nozzleLayout,
+            pipingLength: round(pipingLength, 2)
+        };
+    }
+
+    // Catalogue overrides (e.g. from data.json) are keyed by agent id
+    function getCylinderCatalogue(agent, options = {}) {
+        return (options.cylinderCatalogues && options.cylinderCatalogues[agent.id]) || agent.cylinderCatalogue;
+    }
+
+    // options: { cylinderCatalogues, costMultipliers } used for container selection
+    function performNFPA2001Calculation(input, options = {}) {
+        const errors = validateInput(input);
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        const { roomLength, roomWidth, designTemperature, concentration } = input;
+        const altitude = input.altitude || 0;
+        const agent = getAgent(input.agent);
+
+        // 0. Design concentration basis (hazard class / fuel), when the wizard supplied one
+        let concentrationTrace = null;
+        if (input.hazardClass) {
+            concentrationTrace = deriveDesignConcentration(input);
+            concentrationTrace.designConcentration = concentration;
+            concentrationTrace.steps.push(concentration > concentrationTrace.minimumDesignConcentration
+                ? `Design concentration set to ${concentration}% (above the derived minimum)`
+                : `Design concentration ${concentration}%`);
+        }
+
+        // 1. Calculate volumes (gross less solid obstructions) for each protected zone
+        const { zones, obstructions } = buildZones(input);
+
+        // 2. Calculate Specific Vapor Volume (S) for the selected agent
+        const specificVaporVolume = calculateSpecificVaporVolume(designTemperature, agent.id);
+
+        // 3. Atmospheric correction (NFPA 2001 table, interpolated) and any expert-mode factors
+        const corrections = resolveCorrections(input, concentrationTrace);
+        const altitudeFactor = corrections.altitudeFactor;
+
+        // 4. Agent weight, cylinders, nozzles and piping per zone (halocarbon or inert gas formula)
+        const zoneResults = zones.map(zone => calculateZone(zone, input, specificVaporVolume, corrections.quantityFactor, options));
+        const cylinderSelection = zoneResults.map(zone => ({ zone: zone.name, ...zone.cylinders }));
+
+        // 5. Combined totals; each zone keeps its own containers and distribution
+        const total = (field, decimals) => round(zoneResults.reduce((sum, zone) => sum + zone[field], 0), decimals);
+
+        // 6. Pipe network hydraulics when a network was entered; otherwise the perimeter estimate stands
+        let hydraulics = null;
+        if (input.pipeNetwork && input.pipeNetwork.length > 0) {
+            const agentSupplied = cylinderSelection.reduce((sum, s) => sum + s.agentSupplied, 0);
+            hydraulics = calculateHydraulics(input.pipeNetwork, agent.id, agentSupplied);
+            if (hydraulics.nozzles.length < total('nozzleCount', 0)) {
+                hydraulics.warnings.push({
+                    level: 'caution',
+                    source: 'hydraulics',
+                    message: `Pipe network has ${hydraulics.nozzles.length} nozzles; floor coverage needs ${total('nozzleCount', 0)}`
+                });
+            }
+        }
+
+        // 7. Detection, alarm and release devices for every protected zone
+        const detection = designDetection(input, zoneResults);
+
+        // 8. Enclosure integrity: how long the design concentration is held above the protected height
+        const integrity = input.integrity ? estimateHoldTime(input, specificVaporVolume) : null;
+
+        // 9. Pressure relief venting for the discharge flow against the wall strength
+        const venting = input.venting
+            ? calculateVenting(input, specificVaporVolume, cylinderSelection, hydraulics, integrity)
+            : null;
+
+        // 10. Occupational safety at the maximum room temperature, plus container fill, flow, detection and hold time warnings
+        const safety = assessOccupationalSafety(input, zoneResults, altitudeFactor);
+        const warnings = safety.warnings.concat(
+            cylinderSelection.filter(s => !s.withinLimits).map(s => ({
+                level: 'caution',
+                source: 'cylinders',
+                message: `${s.zone}: ${s.fillPerContainer} kg is below the ${s.minFill} kg minimum fill of the smallest container`
+            })),
+            zoneResults.filter(zone => !zone.nozzleLayout.covered).map(zone => ({
+                level: 'caution',
+                source: 'nozzles',
+                message: `${zone.name}: ${Math.min(roomLength, roomWidth)} m is beyond the reach of ${zone.nozzleLayout.typeName} nozzles from opposite walls - use 360° nozzles`
+            })),
+            hydraulics ? hydraulics.warnings : [],
+            detection.warnings,
+            integrity ? integrity.warnings : []
+        );
+
+        const floorArea = roomLength * roomWidth;
+
+        // 11. Return all calculation results
+        return {
+            agentWeight: total('agentWeight', 2),
+            cylinderCount: total('cylinderCount', 0),
+            nozzleCount: hydraulics ? hydraulics.nozzles.length : total('nozzleCount', 0),
+            cylinderSize: zoneResults[0].cylinders.maxFill,
+            cylinderSelection: cylinderSelection,
+            cylinderDescription: describeCylinders(cylinderSelection),
+
+            grossVolume: total('grossVolume', 2),
+            obstructionVolume: round(obstructions.totalVolume, 2),
+            netVolume: total('netVolume', 2),
+            obstructions: obstructions.items,
+            zones: zoneResults,
+            floorArea: round(floorArea, 2),
+            pipingLength: hydraulics ? hydraulics.totalLength : total('pipingLength', 2),
+            nozzleType: zoneResults[0].nozzleLayout.type,
+            hydraulics: hydraulics,
+            detection: detection,
+            integrity: integrity,
+            venting: venting,
+
+            agent: agent.id,
+            agentName: agent.name,
+            agentType: agent.type,
+            specificVaporVolume: round(specificVaporVolume, 4),
+            concentration: concentration,
+            concentrationTrace: concentrationTrace,
+            safety: safety,
+            warnings: warnings,
+            designTemperature: designTemperature,
+            altitude: altitude,
+            altitudeFactor: round(altitudeFactor, 4),
+            corrections: corrections.items,
+            quantityFactor: round(corrections.quantityFactor, 4),
+
+            calculationMethod: agent.type === 'inert'
+                ? 'NFPA 2001 Inert Gas Formula (logarithmic)'
+                : 'NFPA 2001 Halocarbon Formula',
+            units: UNITS
+        };
+    }
+
+    // ============================================================================
+    // NOZZLE LAYOUT
+    // ============================================================================
+
+    // Places nozzles for a length × width footprint (x along the length, y along the width,
+    // origin at a corner) and stacks extra tiers when the height exceeds one tier's limit.
+    // 360° nozzles sit at the centres of a grid whose cells fit within the throw radius;
+    // 180° nozzles line the long wall (or both long walls) and throw across the room.
+    function planNozzleLayout(length, width, height, options = {}) {
+        const type = NOZZLE_TYPES[options.type || CONSTANTS.DEFAULT_NOZZLE_TYPE];
+        const minNozzles = options.minNozzles || 1;
+        const tiers = Math.max(1, Math.ceil(round(height / type.maxTierHeight, 6)));
+        const tierHeight = height / tiers;
+
+        let plan;
+        if (type.id === '360') {
+            const cell = type.throwRadius * Math.SQRT2;
+            let columns = Math.ceil(round(length / cell, 6));
+            let rows = Math.ceil(round(width / cell, 6));
+            while (columns * rows < minNozzles) {
+                if (length / columns >= width / rows) columns++;
+                else rows++;
+            }
+
+            const points = [];
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < columns; c++) {
+                    points.push({ x: (c + 0.5) * length / columns, y: (r + 0.5) * width / rows });
+                }
+            }
+            plan = { rows, columns, walls: null, spacingX: length / columns, spacingY: width / rows, covered: true, points };
+        } else {
+            const alongLength = length >= width;
+            const along = alongLength ? length : width;
+            const across = alongLength ? width : length;
+
+            // One wall while the throw still leaves a useful spacing, otherwise opposite walls
+            const walls = across <= type.throwRadius * 0.8 ? 1 : 2;
+            const depth = across / walls;
+            const covered = depth <= type.throwRadius;
+            const spacing = covered ? 2 * Math.sqrt(type.throwRadius * type.throwRadius - depth * depth) : along;
+            let columns = Math.max(1, Math.ceil(round(along / spacing, 6)));
+            while (columns * walls < minNozzles) columns++;
+
+            const points = [];
+            for (let w = 0; w < walls; w++) {
+                for (let c = 0; c < columns; c++) {
+                    const a = (c + 0.5) * along / columns;
+                    const b = w === 0 ? 0 : across;
+                    points.push(alongLength ? { x: a, y: b } : { x: b, y: a });
+                }
+            }
+            plan = {
+                rows: walls,
+                columns,
+                walls,
+                spacingX: alongLength ? along / columns : across,
+                spacingY: alongLength ? across : along / columns,
+                covered,
+                points
+            };
+        }
+
+        // Deflectors sit just below the top of each tier (half way down in shallow voids)
+        const positions = [];
+        for (let tier = 0; tier < tiers; tier++) {
+            const elevation = (tier + 1) * tierHeight - Math.min(CONSTANTS.NOZZLE_DEFLECTOR_DROP, tierHeight / 2);
+            plan.points.forEach(point => positions.push({
+                x: round(point.x, 2),
+                y: round(point.y, 2),
+                z: round(elevation, 2),
+                tier: tier + 1
+            }));
+        }
+
+        return {
+            type: type.id,
+            typeName: type.name,
+            length: round(length, 2),
+            width: round(width, 2),
+            height: round(height, 2),
+            throwRadius: type.throwRadius,
+            tiers,
+            tierHeight: round(tierHeight, 2),
+            rows: plan.rows,
+            columns: plan.columns,
+            walls: plan.walls,
+            perTier: plan.points.length,
+            spacingX: round(plan.spacingX, 2),
+            spacingY: round(plan.spacingY, 2),
+            covered: plan.covered,
+            positions
+        };
+    }
+
+    // ============================================================================
+    // DETECTION
+    // ============================================================================
+
+    // Spacing between detectors on a square grid for one detector kind at a ceiling height
+    function detectorSpacing(standard, kind, ceilingHeight) {
+        const rule = standard[kind];
+        if (rule.radius) return rule.radius * Math.SQRT2;
+
+        const reduction = rule.heightReduction
+            ? (rule.heightReduction.find(row => ceilingHeight <= row.height) || rule.heightReduction[rule.heightReduction.length - 1]).factor
+            : 1;
+        return rule.spacing * reduction;
+    }
+
+    // Detectors at the centres of a grid, at least two so both circuits are represented
+    function layDetectorGrid(length, width, spacing) {
+        let columns = Math.ceil(round(length / spacing, 6));
+        let rows = Math.ceil(round(width / spacing, 6));
+        if (columns * rows < 2) {
+            if (length >= width) columns = 2;
+            else rows = 2;
+        }
+
+        const points = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < columns; c++) {
+                points.push({ x: round((c + 0.5) * length / columns, 2), y: round((r + 0.5) * width / rows, 2), row: r, column: c });
+            }
+        }
+        return points;
+    }
+
+    // Cross-zoned detection: discharge needs an alarm on both circuit A and circuit B. Sounder-strobes
+    // are sized from floor area plus one outside each exit, which also gets a manual release and abort station.
+    function designDetection(input, zoneResults) {
+        const standard = DETECTION_STANDARDS[input.detectionStandard || CONSTANTS.DEFAULT_DETECTION_STANDARD];
+        const detectorType = input.detectorType || 'smoke';
+        const exits = input.exitCount || 1;
+        const { roomLength, roomWidth } = input;
+        const warnings = [];
+
+        const zones = zoneResults.map(zone => {
+            // Voids are always covered by smoke detectors alternating between the two circuits
+            const kinds = zone.key === 'room' && detectorType === 'smoke-heat' ? ['smoke', 'heat'] : ['smoke'];
+            const detectors = [];
+            const spacing = {};
+
+            kinds.forEach((kind, index) => {
+                const rule = standard[kind];
+                if (zone.height > rule.maxHeight) {
+                    warnings.push({
+                        level: 'caution',
+                        source: 'detection',
+                        message: `${zone.name}: ${zone.height} m exceeds the ${rule.maxHeight} m ${standard.name} limit for point ${kind} detectors - consider beam or aspirating detection`
+                    });
+                }
+                spacing[kind] = round(detectorSpacing(standard, kind, zone.height), 2);
+                layDetectorGrid(roomLength, roomWidth, spacing[kind]).forEach(point => detectors.push({
+                    x: point.x,
+                    y: point.y,
+                    type: kind,
+                    circuit: kinds.length > 1 ? (index === 0 ? 'A' : 'B') : ((point.row + point.column) % 2 === 0 ? 'A' : 'B')
+                }));
+            });
+
+            return {
+                key: zone.key,
+                name: zone.name,
+                height: zone.height,
+                spacing,
+                detectors,
+                circuitA: detectors.filter(d => d.circuit === 'A').length,
+                circuitB: detectors.filter(d => d.circuit === 'B').length
+            };
+        });
+
+        const all = zones.reduce((list, zone) => list.concat(zone.detectors), []);
+        const soundersInside = Math.max(1, Math.ceil(round(roomLength * roomWidth / ALARM_DEVICES.STROBE_COVERAGE, 6)));
+
+        return {
+            standard: standard.id,
+            standardName: standard.name,
+            detectorType,
+            zones,
+            smokeDetectors: all.filter(d => d.type === 'smoke').length,
+            heatDetectors: all.filter(d => d.type === 'heat').length,
+            circuitA: all.filter(d => d.circuit === 'A').length,
+            circuitB: all.filter(d => d.circuit === 'B').length,
+            exits,
+            soundersInside,
+            soundersOutside: exits,
+            hooterStrobes: soundersInside + exits,
+            manualReleaseStations: exits,
+            abortStations: exits,
+            warningSigns: exits,
+            warnings
+        };
+    }
+
+    // ============================================================================
+    // ENCLOSURE INTEGRITY
+    // ============================================================================
+
+    function validateIntegrity(integrity, roomHeight) {
+        const errors = [];
+
+        if (!INTEGRITY_METHODS.includes(integrity.method)) {
+            errors.push(`Integrity method must be one of: ${INTEGRITY_METHODS.join(', ')}`);
+        } else if (integrity.method === 'ela' && !(integrity.ela > 0)) {
+            errors.push('Equivalent leakage area must be greater than zero');
+        } else if (integrity.method === 'doorfan' && (!(integrity.testFlow > 0) || !(integrity.testPressure > 0))) {
+            errors.push('Door fan flow and test pressure must be greater than zero');
+        }
+
+        if (integrity.lowerLeakFraction !== undefined && integrity.lowerLeakFraction !== null &&
+            !(integrity.lowerLeakFraction > 0 && integrity.lowerLeakFraction < 1)) {
+            errors.push('Lower leakage fraction must be between 0 and 100%');
+        }
+        if (!(integrity.protectedHeight > 0) || integrity.protectedHeight >= roomHeight) {
+            errors.push('Protected height must be greater than zero and below the room height');
+        }
+        if (integrity.minimumHoldTime !== undefined && integrity.minimumHoldTime !== null && !(integrity.minimumHoldTime > 0)) {
+            errors.push('Minimum hold time must be greater than zero');
+        }
+
+        return errors;
+    }
+
+    // Air and agent-air mixture densities (kg/m³) at the design temperature; the agent's
+    // vapour density is the inverse of its specific volume
+    function calculateMixtureDensity(input, specificVaporVolume) {
+        const airDensity = 353.0 / (input.designTemperature + 273.15);
+        const fraction = input.concentration / 100;
+        return {
+            airDensity,
+            mixtureDensity: airDensity * (1 - fraction) + fraction / specificVaporVolume
+        };
+    }
+
+    // NFPA 2001 Annex C descending interface (sharp interface, no continuous mixing).
+    // The heavy agent-air column of height h drives mixture out through the lower leaks and
+    // draws air in through the upper leaks, in series: 1/A² = 1/A_lower² + 1/A_upper².
+    // Q = Cd·A·√(2·g·h·δ), δ = (ρmix − ρair)/ρmix, and the interface falls at Q / floor area,
+    // so t = 2·A_floor·(√H0 − √H) / (Cd·A·√(2·g·δ)), H0 the enclosure height, H the protected height.
+    function estimateHoldTime(input, specificVaporVolume) {
+        const integrity = input.integrity;
+        const steps = [];
+        const warnings = [];
+
+        const { airDensity, mixtureDensity } = calculateMixtureDensity(input, specificVaporVolume);
+        let ela = integrity.ela;
+        if (integrity.method === 'doorfan') {
+            const flow = integrity.testFlow / 3600;
+            ela = flow / (CONSTANTS.LEAKAGE_COEFFICIENT * Math.sqrt(2 * integrity.testPressure / airDensity));
+            steps.push(`Door fan ${round(integrity.testFlow, 1)} m³/h at ${round(integrity.testPressure, 1)} Pa → ELA ${round(ela, 4)} m²`);
+        } else {
+            steps.push(`Equivalent leakage area ${round(ela, 4)} m²`);
+        }
+
+        const lowerFraction = integrity.lowerLeakFraction || 0.5;
+        const lower = ela * lowerFraction;
+        const upper = ela * (1 - lowerFraction);
+        const effectiveArea = 1 / Math.sqrt(1 / (lower * lower) + 1 / (upper * upper));
+        steps.push(`Lower leakage ${round(lowerFraction * 100, 0)}% → effective area ${round(effectiveArea, 4)} m²`);
+
+        const delta = (mixtureDensity - airDensity) / mixtureDensity;
+        steps.push(`Mixture ${round(mixtureDensity, 3)} kg/m³ against air ${round(airDensity, 3)} kg/m³`);
+
+        // Heights are measured from the slab, so voids add to the enclosure and lift the protected height
+        const enclosureHeight = input.roomHeight + (input.raisedFloorDepth || 0) + (input.ceilingVoidDepth || 0);
+        const protectedHeight = integrity.protectedHeight + (input.raisedFloorDepth || 0);
+        const floorArea = input.roomLength * input.roomWidth;
+        const minimumHoldTime = integrity.minimumHoldTime || CONSTANTS.DEFAULT_MIN_HOLD_TIME;
+
+        let holdTime = null;
+        if (delta > 0) {
+            const seconds = 2 * floorArea * (Math.sqrt(enclosureHeight) - Math.sqrt(protectedHeight)) /
+                            (CONSTANTS.LEAKAGE_COEFFICIENT * effectiveArea * Math.sqrt(2 * CONSTANTS.GRAVITY * delta));
+            holdTime = seconds / 60;
+            steps.push(`Interface falls from ${round(enclosureHeight, 2)} m to ${round(protectedHeight, 2)} m in ${round(holdTime, 1)} min`);
+        } else {
+            steps.push('Mixture is not heavier than air - the descending interface model does not apply');
+        }
+
+        if (holdTime === null) {
+            warnings.push({
+                level: 'caution',
+                source: 'integrity',
+                message: 'Agent-air mixture is not heavier than air; hold time needs a door fan test with the mixing model'
+            });
+        } else if (holdTime < minimumHoldTime) {
+            warnings.push({
+                level: 'danger',
+                source: 'integrity',
+                message: `Estimated hold time ${round(holdTime, 1)} min is below the ${minimumHoldTime} min minimum - seal the enclosure or add extended discharge`
+            });
+        }
+
+        return {
+            method: integrity.method,
+            testFlow: integrity.method === 'doorfan' ? round(integrity.testFlow, 1) : null,
+            testPressure: integrity.method === 'doorfan' ? round(integrity.testPressure, 1) : null,
+            ela: round(ela, 4),
+            lowerLeakFraction: lowerFraction,
+            effectiveArea: round(effectiveArea, 4),
+            airDensity: round(airDensity, 3),
+            mixtureDensity: round(mixtureDensity, 3),
+            // Both measured from the slab, as used in the model; the entered height is above the room floor
+            enclosureHeight: round(enclosureHeight, 2),
+            protectedHeight: round(protectedHeight, 3),
+            protectedHeightAboveFloor: round(integrity.protectedHeight, 3),
+            holdTime: holdTime === null ? null : round(holdTime, 1),
+            minimumHoldTime,
+            pass: holdTime !== null && holdTime >= minimumHoldTime,
+            steps,
+            warnings
+        };
+    }
+
+    // ============================================================================
+    // PRESSURE RELIEF VENTING
+    // ============================================================================
+
+    // The room must pass the agent's vapour flow at no more than the wall strength:
+    // A = Q / (Cd·√(2·ΔP/ρmix)), Q = supplied agent × S / discharge time. Existing leakage
+    // (entered, or the ELA from the integrity check) counts towards A; dampers make up the rest.
+    function calculateVenting(input, specificVaporVolume, cylinderSelection, hydraulics, integrity) {
+        const agent = getAgent(input.agent);
+        const venting = input.venting;
+        const steps = [];
+
+        const agentQuantity = cylinderSelection.reduce((sum, s) => sum + s.agentSupplied, 0);
+        const dischargeTime = hydraulics && hydraulics.estimatedDischargeTime
+            ? hydraulics.estimatedDischargeTime
+            : agent.hydraulics.dischargeTime;
+        const flow = agentQuantity * specificVaporVolume / dischargeTime;
+        steps.push(`${round(agentQuantity, 2)} kg × ${round(specificVaporVolume, 4)} m³/kg over ${dischargeTime} s → ${round(flow, 3)} m³/s`);
+
+        const { mixtureDensity } = calculateMixtureDensity(input, specificVaporVolume);
+        const requiredArea = flow / (CONSTANTS.LEAKAGE_COEFFICIENT * Math.sqrt(2 * venting.wallStrength / mixtureDensity));
+        steps.push(`Relief area at ${round(venting.wallStrength, 1)} Pa → ${round(requiredArea, 4)} m²`);
+
+        let leakageArea = 0;
+        let leakageSource = 'none';
+        if (venting.leakageArea !== undefined && venting.leakageArea !== null) {
+            leakageArea = venting.leakageArea;
+            leakageSource = 'input';
+        } else if (integrity) {
+            leakageArea = integrity.ela;
+            leakageSource = 'integrity';
+        }
+        const freeVentArea = Math.max(0, requiredArea - leakageArea);
+        steps.push(`Less existing leakage ${round(leakageArea, 4)} m² → free vent area ${round(freeVentArea, 4)} m²`);
+
+        // Lowest relative cost across damper sizes
+        let damper = null;
+        let ventCount = 0;
+        if (freeVentArea > 0) {
+            VENT_DAMPERS.forEach(option => {
+                const count = Math.ceil(round(freeVentArea / option.freeArea, 6));
+                if (!damper || count * option.priceFactor < ventCount * damper.priceFactor) {
+                    damper = option;
+                    ventCount = count;
+                }
+            });
+            steps.push(`${ventCount} x ${damper.label} dampers (${damper.freeArea} m² free area each)`);
+        }
+
+        return {
+            wallStrength: round(venting.wallStrength, 1),
+            dischargeTime,
+            flow: round(flow, 3),
+            mixtureDensity: round(mixtureDensity, 3),
+            requiredArea: round(requiredArea, 4),
+            leakageArea: round(leakageArea, 4),
+            leakageSource,
+            freeVentArea: round(freeVentArea, 4),
+            damper,
+            ventCount,
+            note: agent.type === 'halocarbon'
+                ? 'Halocarbon discharge briefly draws the room negative as the liquid flashes; dampers must relieve in both directions.'
+                : null,
+            steps
+        };
+    }
+
+    // ============================================================================
+    // HYDRAULIC FLOW
+    // ============================================================================
+
+    // The network is a tree fed from the cylinder manifold: each segment names its upstream
+    // segment (null for the manifold), which must be listed before it, and leaves end in a nozzle
+    function validatePipeNetwork(network) {
+        const errors = [];
+        const listed = new Set();
+        const feeding = new Set(network.map(segment => segment.upstream).filter(Boolean));
+
+        network.forEach((segment, index) => {
+            const label = segment.id || `Segment ${index + 1}`;
+            if (!segment.id || listed.has(segment.id)) {
+                errors.push(`${label}: segment ids must be unique`);
+            }
+            if (!(segment.length > 0)) {
+                errors.push(`${label}: length must be greater than zero`);
+            }
+            if (segment.rise !== undefined && isNaN(segment.rise)) {
+                errors.push(`${label}: elevation change must be a number`);
+            }
+            ['elbows', 'tees'].forEach(fitting => {
+                if (!Number.isInteger(segment[fitting]) || segment[fitting] < 0) {
+                    errors.push(`${label}: ${fitting} must be a whole number of at least 0`);
+                }
+            });
+            if (segment.upstream && !listed.has(segment.upstream)) {
+                errors.push(`${label}: upstream segment ${segment.upstream} must be listed before it`);
+            }
+            if (segment.size && !PIPE_SIZES.some(size => size.id === segment.size)) {
+                errors.push(`${label}: unknown pipe size ${segment.size}`);
+            }
+            if (segment.nozzle && feeding.has(segment.id)) {
+                errors.push(`${label}: a nozzle segment cannot feed other segments`);
+            } else if (!segment.nozzle && !feeding.has(segment.id)) {
+                errors.push(`${label}: must end in a nozzle or feed another segment`);
+            }
+            listed.add(segment.id);
+        });
+
+        if (network.filter(segment => !segment.upstream).length !== 1) {
+            errors.push('Pipe network must have exactly one segment leaving the cylinder manifold');
+        }
+
+        return errors;
+    }
+
+    function pipeArea(diameter) {
+        return Math.PI * Math.pow(diameter / 1000, 2) / 4;
+    }
+
+    // Darcy friction factor for fully turbulent flow in commercial steel (von Kármán)
+    function pipeFrictionFactor(diameter) {
+        return Math.pow(1 / (2 * Math.log10(3.7 * diameter / HYDRAULICS.PIPE_ROUGHNESS)), 2);
+    }
+
+    // Smallest size that keeps the mass flux within the agent's maximum
+    function selectPipeSize(flow, hydraulics) {
+        return PIPE_SIZES.find(size => flow / pipeArea(size.diameter) <= hydraulics.maxMassFlux) ||
+               PIPE_SIZES[PIPE_SIZES.length - 1];
+    }
+
+    // Simplified two-phase method: constant mean density, equal flow to every nozzle, friction
+    // from equivalent lengths plus static head, orifices drilled to the pressure that arrives
+    function calculateHydraulics(network, agentId, agentQuantity) {
+        const agent = getAgent(agentId);
+        const h = agent.hydraulics;
+        const warnings = [];
+        const warn = (level, message) => warnings.push({ level, source: 'hydraulics', message });
+
+        const nozzleCount = network.filter(segment => segment.nozzle).length;
+        const systemFlow = agentQuantity / h.dischargeTime;
+        const nozzleFlow = systemFlow / nozzleCount;
+
+        // Segment flow is the sum of its nozzles; children are listed after their upstream segment
+        const flows = {};
+        network.slice().reverse().forEach(segment => {
+            flows[segment.id] = (flows[segment.id] || 0) + (segment.nozzle ? nozzleFlow : 0);
+            if (segment.upstream) {
+                flows[segment.upstream] = (flows[segment.upstream] || 0) + flows[segment.id];
+            }
+        });
+
+        const outletPressures = {};
+        const segments = network.map(segment => {
+            const flow = flows[segment.id];
+            const size = segment.size ? PIPE_SIZES.find(p => p.id === segment.size) : selectPipeSize(flow, h);
+            const diameter = size.diameter / 1000;
+            const massFlux = flow / pipeArea(size.diameter);
+            const velocity = massFlux / h.density;
+            const fittingsLength = (segment.elbows * HYDRAULICS.EQUIVALENT_LENGTH.elbow +
+                                    segment.tees * HYDRAULICS.EQUIVALENT_LENGTH.tee) * diameter;
+            const equivalentLength = segment.length + fittingsLength;
+
+            const friction = pipeFrictionFactor(size.diameter) * (equivalentLength / diameter) * h.density * velocity * velocity / 2;
+            const staticHead = h.density * CONSTANTS.GRAVITY * (segment.rise || 0);
+            const pressureDrop = (friction + staticHead) / 1e5;
+            const inletPressure = segment.upstream ? outletPressures[segment.upstream] : h.supplyPressure;
+            outletPressures[segment.id] = inletPressure - pressureDrop;
+
+            if (massFlux > h.maxMassFlux) {
+                warn('caution', `${segment.id}: ${size.id} carries ${round(massFlux, 0)} kg/m²·s, above the ${h.maxMassFlux} kg/m²·s maximum`);
+            } else if (massFlux < h.minMassFlux) {
+                warn('caution', `${segment.id}: ${size.id} carries ${round(massFlux, 0)} kg/m²·s, below the ${h.minMassFlux} kg/m²·s needed to avoid phase separation`);
+            }
+
+            return {
+                id: segment.id,
+                upstream: segment.upstream || null,
+                length: segment.length,
+                rise: segment.rise || 0,
+                elbows: segment.elbows,
+                tees: segment.tees,
+                nozzle: !!segment.nozzle,
+                size: size.id,
+                nominal: size.nominal,
+                diameter: size.diameter,
+                autoSized: !segment.size,
+                flow: round(flow, 3),
+                massFlux: round(massFlux, 0),
+                velocity: round(velocity, 2),
+                equivalentLength: round(equivalentLength, 2),
+                pressureDrop: round(pressureDrop, 2),
+                inletPressure: round(inletPressure, 2),
+                outletPressure: round(outletPressures[segment.id], 2)
+            };
+        });
+
+        // Orifice sized for the design flow at the arrival pressure, rounded to the drill increment
+        const nozzles = segments.filter(segment => segment.nozzle).map(segment => {
+            const pressure = outletPressures[segment.id];
+            if (pressure <= 0) {
+                return { segment: segment.id, pressure: round(pressure, 2), designFlow: round(nozzleFlow, 3), orificeDiameter: null, orificeArea: null, areaRatio: null, flow: 0 };
+            }
+
+            const jet = HYDRAULICS.ORIFICE_COEFFICIENT * Math.sqrt(2 * h.density * pressure * 1e5);
+            const exactDiameter = Math.sqrt(4 * (nozzleFlow / jet) / Math.PI) * 1000;
+            const orificeDiameter = Math.max(HYDRAULICS.MIN_ORIFICE_DIAMETER,
+                Math.round(exactDiameter / HYDRAULICS.ORIFICE_STEP) * HYDRAULICS.ORIFICE_STEP);
+            const orificeArea = Math.PI * orificeDiameter * orificeDiameter / 4;
+            const areaRatio = orificeArea / (pipeArea(segment.diameter) * 1e6);
+
+            if (areaRatio < HYDRAULICS.MIN_AREA_RATIO || areaRatio > HYDRAULICS.MAX_AREA_RATIO) {
+                warn('caution', `${segment.id}: orifice area is ${round(areaRatio * 100, 0)}% of the ${segment.size} pipe, outside ${HYDRAULICS.MIN_AREA_RATIO * 100}–${HYDRAULICS.MAX_AREA_RATIO * 100}%`);
+            }
+
+            return {
+                segment: segment.id,
+                pressure: round(pressure, 2),
+                designFlow: round(nozzleFlow, 3),
+                orificeDiameter,
+                orificeArea: round(orificeArea, 1),
+                areaRatio: round(areaRatio, 3),
+                flow: round(jet * orificeArea / 1e6, 3)
+            };
+        });
+
+        nozzles.filter(nozzle => nozzle.pressure < h.minNozzlePressure).forEach(nozzle => {
+            warn('danger', `${nozzle.segment}: nozzle pressure ${nozzle.pressure} bar is below the ${h.minNozzlePressure} bar minimum for ${agent.shortName}`);
+        });
+
+        const pressures = nozzles.map(nozzle => nozzle.pressure);
+        const highest = Math.max(...pressures);
+        const pressureImbalance = highest > 0 ? (highest - Math.max(0, Math.min(...pressures))) / highest * 100 : 100;
+        if (pressureImbalance > HYDRAULICS.MAX_PRESSURE_IMBALANCE) {
+            warn('caution', `Nozzle pressures differ by ${round(pressureImbalance, 1)}%, above the ${HYDRAULICS.MAX_PRESSURE_IMBALANCE}% allowed imbalance`);
+        }
+
+        const deliveredFlow = nozzles.reduce((sum, nozzle) => sum + nozzle.flow, 0);
+        const dischargeTime = deliveredFlow > 0 ? agentQuantity / deliveredFlow : null;
+        if (dischargeTime === null || dischargeTime > h.maxDischargeTime) {
+            warn('danger', dischargeTime === null
+                ? 'No nozzle receives positive pressure - the network cannot discharge'
+                : `Estimated discharge time ${round(dischargeTime, 1)} s exceeds the ${h.maxDischargeTime} s maximum for ${agent.shortName}`);
+        }
+
+        // Pipe lengths per size, for the BOQ
+        const pipeSchedule = PIPE_SIZES.map(size => ({
+            ...size,
+            length: round(segments.filter(s => s.size === size.id).reduce((sum, s) => sum + s.length, 0), 2)
+        })).filter(size => size.length > 0);
+
+        return {
+            agentQuantity: round(agentQuantity, 2),
+            systemFlow: round(systemFlow, 3),
+            supplyPressure: h.supplyPressure,
+            minNozzlePressure: h.minNozzlePressure,
+            designDischargeTime: h.dischargeTime,
+            maxDischargeTime: h.maxDischargeTime,
+            estimatedDischargeTime: dischargeTime === null ? null : round(dischargeTime, 1),
+            pressureImbalance: round(pressureImbalance, 1),
+            maxPressureImbalance: HYDRAULICS.MAX_PRESSURE_IMBALANCE,
+            segments,
+            nozzles,
+            pipeSchedule,
+            totalLength: round(segments.reduce((sum, s) => sum + s.length, 0), 2),
+            warnings
+        };
+    }
+
+    // ============================================================================
+    // BILL OF QUANTITIES
+    // ============================================================================
+
+    const BOQ_SECTION_TITLES = {
+        equipment: 'Equipment & Materials',
+        labour: 'Labour & Services'
+    };
+
+    // HSN (goods) / SAC (services) code for every BOQ line and percentage adjustment;
+    // contingency is an allowance with no code of its own and is taxed at the standard rate
+    const BOQ_TAX_CODES = {
+        agentCost: { code: '3813', type: 'HSN', description: 'Charges for fire extinguishers' },
+        cylinderCost: { code: '7311', type: 'HSN', description: 'Steel containers for compressed gas' },
+        valveCost: { code: '8481', type: 'HSN', description: 'Valves' },
+        selectorValveCost: { code: '8481', type: 'HSN', description: 'Valves' },
+        ventDampers: { code: '8481', type: 'HSN', description: 'Valves' },
+        mountingCost: { code: '7326', type: 'HSN', description: 'Articles of iron or steel' },
+        nozzleCost: { code: '8424', type: 'HSN', description: 'Fire extinguishing appliances' },
+        pipingCost: { code: '7304', type: 'HSN', description: 'Seamless steel pipes' },
+        fittingsCost: { code: '7307', type: 'HSN', description: 'Pipe fittings' },
+        detectionCost: { code: '8531', type: 'HSN', description: 'Fire alarm and signalling apparatus' },
+        smokeDetectors: { code: '8531', type: 'HSN', description: 'Fire alarm and signalling apparatus' },
+        heatDetectors: { code: '8531', type: 'HSN', description: 'Fire alarm and signalling apparatus' },
+        manualCallPoints: { code: '8531', type: 'HSN', description: 'Fire alarm and signalling apparatus' },
+        abortStations: { code: '8531', type: 'HSN', description: 'Fire alarm and signalling apparatus' },
+        hooterStrobes: { code: '8531', type: 'HSN', description: 'Fire alarm and signalling apparatus' },
+        warningSigns: { code: '8310', type: 'HSN', description: 'Sign plates' },
+        installationLabor: { code: '9987', type: 'SAC', description: 'Installation services' },
+        installationFactorCost: { code: '9987', type: 'SAC', description: 'Installation services' },
+        engineeringDesign: { code: '9983', type: 'SAC', description: 'Engineering and technical services' },
+        engineeringFactorCost: { code: '9983', type: 'SAC', description: 'Engineering and technical services' },
+        commissioningTesting: { code: '9983', type: 'SAC', description: 'Engineering and technical services' },
+        documentation: { code: '9983', type: 'SAC', description: 'Engineering and technical services' },
+        contingency: { code: null, type: null, description: 'Contingency allowance' }
+    };
+
+    // Line items that move to the central cylinder bank in a selector-valve project
+    const CYLINDER_BANK_KEYS = ['agentCost', 'cylinderCost', 'valveCost', 'mountingCost'];
+
+    function boqLine(key, section, category, description, quantity, unit, unitPrice) {
+        return {
+            key, section, category, description,
+            quantity: round(quantity, 2),
+            unit,
+            unitPrice: round(unitPrice, 2),
+            total: round(quantity * unitPrice, 2)
+        };
+    }
+
+    function buildBOQLines(calculationResults, m) {
+        const { agentWeight, cylinderCount, cylinderSize, nozzleCount, pipingLength, floorArea } = calculationResults;
+
+        // One cylinder line per container size; results saved before the catalogue carry a single size
+        const containers = {};
+        (calculationResults.cylinderSelection || [{ id: 'legacy', volume: null, maxFill: cylinderSize, priceFactor: 1, count: cylinderCount }])
+            .forEach(s => {
+                containers[s.id] = containers[s.id] || { ...s, count: 0 };
+                containers[s.id].count += s.count;
+            });
+        const cylinderLines = Object.values(containers).map(c => boqLine(
+            'cylinderCost', 'equipment', 'cylinders',
+            c.volume ? `Storage Cylinders (${c.label || `${c.volume} L`}, ${c.fullCharge ? 'charge' : 'max'} ${c.maxFill} kg)` : `Storage Cylinders (${c.maxFill} kg)`,
+            c.count, 'nos', m.cylinderCost * c.priceFactor));
+
+        // Full-charge (inert gas) containers are priced on the agent they actually hold
+        const agent = getAgent(calculationResults.agent) || AGENTS[CONSTANTS.DEFAULT_AGENT];
+        const selection = calculationResults.cylinderSelection || [];
+        const agentQuantity = selection.some(s => s.fullCharge)
+            ? selection.reduce((sum, s) => sum + s.agentSupplied, 0)
+            : agentWeight;
+        const agentPrice = m[agent.priceKey] !== undefined ? m[agent.priceKey] : DEFAULT_COST_MULTIPLIERS[agent.priceKey];
+        const agentDescription = agent.type === 'inert'
+            ? `${agent.shortName} Agent (full cylinder charge)`
+            : `${agent.shortName} Clean Agent`;
+
+        // Sized networks are priced per pipe size; otherwise one line for the estimated run
+        const pipingLines = calculationResults.hydraulics
+            ? calculationResults.hydraulics.pipeSchedule.map(p => boqLine(
+                'pipingCost', 'equipment', 'piping', `Piping ${p.id} ${p.nominal} (Sch 40)`, p.length, 'm', m.pipingCostPerMeter * p.priceFactor))
+            : [boqLine('pipingCost', 'equipment', 'piping', 'Piping System (Sch 40)', pipingLength, 'm', m.pipingCostPerMeter)];
+
+        // Relief dampers only when the venting check found a shortfall
+        const venting = calculationResults.venting;
+        const ventDamperPrice = m.ventDamper !== undefined ? m.ventDamper : DEFAULT_COST_MULTIPLIERS.ventDamper;
+        const ventLines = venting && venting.ventCount > 0
+            ? [boqLine('ventDampers', 'equipment', 'venting', `Pressure Relief Vent Dampers (${venting.damper.label})`,
+                venting.ventCount, 'nos', ventDamperPrice * venting.damper.priceFactor)]
+            : [];
+
+        // Results saved before the detection design fall back to the area-based quantities
+        const detection = calculationResults.detection || {
+            smokeDetectors: Math.max(2, Math.ceil(floorArea / 100)),
+            heatDetectors: 2,
+            manualReleaseStations: 2,
+            abortStations: 0,
+            hooterStrobes: 4,
+            warningSigns: 1
+        };
+        const detectionLines = [
+            boqLine('smokeDetectors', 'equipment', 'detection', 'Smoke Detectors (cross-zoned)', detection.smokeDetectors, 'nos', m.smokeDetector),
+            boqLine('heatDetectors', 'equipment', 'detection', 'Heat Detectors', detection.heatDetectors, 'nos', m.heatDetector),
+            boqLine('manualCallPoints', 'equipment', 'detection', 'Manual Release Stations', detection.manualReleaseStations, 'nos', m.manualCallPoint),
+            boqLine('abortStations', 'equipment', 'detection', 'Abort Stations', detection.abortStations, 'nos',
+                m.abortStation !== undefined ? m.abortStation : DEFAULT_COST_MULTIPLIERS.abortStation),
+            boqLine('hooterStrobes', 'equipment', 'detection', 'Hooter / Strobes', detection.hooterStrobes, 'nos', m.hooterStrobe),
+            boqLine('warningSigns', 'equipment', 'detection', 'Warning Signs', detection.warningSigns, 'set', m.warningSigns)
+        ].filter(line => line.quantity > 0);
+        const installationHours = 40 + (cylinderCount * 4) + (nozzleCount * 2) + (pipingLength * 0.5);
+
+        return [
+            // Equipment & Materials
+            boqLine('agentCost', 'equipment', 'agent', agentDescription, agentQuantity, 'kg', agentPrice),
+            ...cylinderLines,
+            boqLine('valveCost', 'equipment', 'cylinders', 'Valve Assemblies', cylinderCount, 'nos', m.valveAssembly),
+            boqLine('mountingCost', 'equipment', 'cylinders', 'Cylinder Mounting Hardware', cylinderCount, 'nos', m.mountingHardware),
+            boqLine('nozzleCost', 'equipment', 'piping', 'Nozzles (Standard Coverage)', nozzleCount, 'nos', m.nozzleCost),
+            ...pipingLines,
+            boqLine('fittingsCost', 'equipment', 'piping', 'Fittings & Accessories', 1, 'lot', m.fittingsCost),
+            boqLine('detectionCost', 'equipment', 'detection', 'Detection & Control Panel', 1, 'nos', m.detectionPanel),
+            ...detectionLines,
+            ...ventLines,
+
+            // Labour & Services
+            boqLine('installationLabor', 'labour', 'services', 'Installation Labour', installationHours, 'hrs', m.installationLaborPerHour),
+            boqLine('engineeringDesign', 'labour', 'services', 'Engineering Design', 1, 'lot', m.engineeringDesign),
+            boqLine('commissioningTesting', 'labour', 'services', 'Commissioning & Testing', 1, 'lot', m.commissioningTesting),
+            boqLine('documentation', 'labour', 'services', 'Documentation', 1, 'lot', m.documentation)
+        ];
+    }
+
+    // Subtotals, percentage adjustments and grand total for any set of BOQ lines
+    function summarizeBOQ(lines, m, currency) {
+        const sumLines = (predicate) => round(lines.filter(predicate).reduce((sum, l) => sum + l.total, 0), 2);
+
+        const equipmentSubtotal = sumLines(l => l.section === 'equipment');
+        const laborSubtotal = sumLines(l => l.section === 'labour');
+
+        // Percentage adjustments are applied to the equipment subtotal
+        const adjustment = (key, description, factor) => {
+            const rate = round(factor - 1, 4);
+            return {
+                key,
+                description: `${description} (${round(rate * 100, 2)}%)`,
+                rate,
+                total: round(equipmentSubtotal * rate, 2)
+            };
+        };
+
+        const adjustments = [
+            adjustment('installationFactorCost', 'Installation & Commissioning', m.installationFactor),
+            adjustment('engineeringFactorCost', 'Engineering & Design', m.engineeringFactor),
+            adjustment('contingency', 'Contingency', m.contingencyFactor)
+        ];
+
+        // Lines are shown grouped by room in a project, otherwise by section
+        const groups = [];
+        lines.forEach(l => {
+            const title = l.group || BOQ_SECTION_TITLES[l.section];
+            let group = groups.find(g => g.title === title);
+            if (!group) {
+                group = { title, lines: [] };
+                groups.push(group);
+            }
+            group.lines.push(l);
+        });
+
+        const categoryTotals = {};
+        lines.forEach(l => {
+            categoryTotals[l.category] = round((categoryTotals[l.category] || 0) + l.total, 2);
+        });
+
+        const grandTotal = round(equipmentSubtotal + laborSubtotal +
+                                 adjustments.reduce((sum, a) => sum + a.total, 0), 2);
+
+        return {
+            lines,
+            groups,
+            equipmentSubtotal,
+            laborSubtotal,
+            adjustments,
+            categoryTotals,
+            grandTotal,
+            currency: currency || DEFAULT_PRICE_LIST.currency
+        };
+    }
+
+    // Single BOQ model: every table, export and quotation total is built from these lines
+    function buildBOQ(calculationResults, costMultipliers, options = {}) {
+        const m = costMultipliers || DEFAULT_COST_MULTIPLIERS;
+        const excludeKeys = options.excludeKeys || [];
+
+        const lines = buildBOQLines(calculationResults, m)
+            .filter(l => !excludeKeys.includes(l.key))
+            .map(l => (options.group ? { ...l, group: options.group } : l));
+
+        return summarizeBOQ(lines, m, options.currency);
+    }
+
+    // ============================================================================
+    // COST CALCULATION
+    // ============================================================================
+
+    function convertCurrency(amount, from, to, rates) {
+        const table = rates || DEFAULT_EXCHANGE_RATES;
+        if (from === to) return amount;
+        if (!(table[from] > 0) || !(table[to] > 0)) {
+            throw new Error(`No exchange rate for ${table[from] > 0 ? to : from}`);
+        }
+        return amount / table[from] * table[to];
+    }
+
+    // Flat costResults shape (one field per line key) derived from a BOQ model
+    function flattenBOQ(boq) {
+        const costResults = {};
+        boq.lines.forEach(l => {
+            costResults[l.key] = round((costResults[l.key] || 0) + l.total, 2);
+        });
+        boq.adjustments.forEach(a => {
+            costResults[a.key] = a.total;
+        });
+
+        costResults.equipmentSubtotal = boq.equipmentSubtotal;
+        costResults.laborSubtotal = boq.laborSubtotal;
+        costResults.total = boq.grandTotal;
+        // Callers written before non-INR price lists read this; it is only meaningful in INR
+        if (boq.currency === 'INR') costResults.totalINR = boq.grandTotal;
+        costResults.currency = boq.currency;
+        costResults.boq = boq;
+
+        return costResults;
+    }
+
+    // options: { currency } the prices are stated in
+    function calculateSystemCosts(calculationResults, costMultipliers, options = {}) {
+        return flattenBOQ(buildBOQ(calculationResults, costMultipliers, { currency: options.currency }));
+    }
+
+    // Range check for one costMultipliers value; returns the problem or null
+    function checkCostMultiplier(key, value) {
+        const field = COST_MULTIPLIER_FIELDS[key];
+        if (!field) return `unknown price key ${key}`;
+        if (typeof value !== 'number' || !isFinite(value)) return `${field.name} must be a number`;
+        if (value < field.min || (field.max !== undefined && value > field.max)) {
+            return field.max !== undefined
+                ? `${field.name} must be between ${field.min} and ${field.max}`
+                : `${field.name} cannot be below ${field.min}`;
+        }
+        return null;
+    }
+
+    // Checks a price list (data.json or an imported company list); returns error messages
+    function validatePriceList(priceList) {
+        if (!priceList || typeof priceList !== 'object' || Array.isArray(priceList)) {
+            return ['Price list must be a JSON object'];
+        }
+
+        const errors = [];
+        if (priceList.version !== undefined && (typeof priceList.version !== 'string' || !priceList.version.trim())) {
+            errors.push('Price list version must be a non-empty string');
+        }
+        if (!/^[A-Z]{3}$/.test(priceList.currency)) {
+            errors.push('Price list currency must be a three-letter code such as USD or INR');
+        }
+
+        const m = priceList.costMultipliers;
+        if (!m || typeof m !== 'object' || Array.isArray(m)) {
+            errors.push('Price list must have a costMultipliers object');
+        } else {
+            Object.keys(COST_MULTIPLIER_FIELDS).forEach(key => {
+                const error = checkCostMultiplier(key, m[key]);
+                if (error) errors.push(`costMultipliers.${key}: ${error}`);
+            });
+        }
+
+        const rates = priceList.exchangeRates;
+        if (rates !== undefined) {
+            if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+                errors.push('exchangeRates must be an object of rates per US dollar');
+            } else {
+                Object.entries(rates).forEach(([code, rate]) => {
+                    if (!/^[A-Z]{3}$/.test(code) || !(typeof rate === 'number' && rate > 0)) {
+                        errors.push(`exchangeRates.${code} must be a positive rate for a three-letter currency code`);
+                    }
+                });
+            }
+        }
+
+        const taxCodes = priceList.taxCodes;
+        if (taxCodes !== undefined) {
+            if (!taxCodes || typeof taxCodes !== 'object' || Array.isArray(taxCodes)) {
+                errors.push('taxCodes must be an object keyed by BOQ line');
+            } else {
+                Object.entries(taxCodes).forEach(([key, taxCode]) => {
+                    if (!BOQ_TAX_CODES[key]) {
+                        errors.push(`taxCodes: unknown BOQ line ${key}`);
+                    } else if (!taxCode || !/^\d{4,8}$/.test(taxCode.code) || !['HSN', 'SAC'].includes(taxCode.type)) {
+                        errors.push(`taxCodes.${key} needs a 4-8 digit code and a type of HSN or SAC`);
+                    }
+                });
+            }
+        }
+
+        const taxRates = priceList.taxRates;
+        if (taxRates !== undefined) {
+            if (!taxRates || typeof taxRates !== 'object' || Array.isArray(taxRates)) {
+                errors.push('taxRates must be an object keyed by jurisdiction');
+            } else {
+                Object.entries(taxRates).forEach(([id, rates]) => {
+                    if (!TAX_JURISDICTIONS[id] || !TAX_JURISDICTIONS[id].tax) {
+                        errors.push(`taxRates: unknown jurisdiction ${id}`);
+                    } else if (!rates || typeof rates !== 'object' ||
+                               !Object.values(rates).every(rate => typeof rate === 'number' && rate >= 0 && rate <= 100)) {
+                        errors.push(`taxRates.${id} must map HSN/SAC codes to rates between 0 and 100%`);
+                    }
+                });
+            }
+        }
+
+        const catalogues = priceList.cylinderCatalogues;
+        if (catalogues !== undefined) {
+            if (!catalogues || typeof catalogues !== 'object' || Array.isArray(catalogues)) {
+                errors.push('cylinderCatalogues must be an object keyed by agent');
+            } else {
+                Object.entries(catalogues).forEach(([agentId, catalogue]) => {
+                    if (!AGENTS[agentId]) {
+                        errors.push(`cylinderCatalogues: unknown agent ${agentId}`);
+                    } else if (!Array.isArray(catalogue) || catalogue.length === 0) {
+                        errors.push(`cylinderCatalogues.${agentId} must list at least one container`);
+                    } else {
+                        catalogue.forEach((c, i) => {
+                            const valid = c && ['volume', 'minFill', 'maxFill'].every(k => typeof c[k] === 'number' && c[k] >= 0) &&
+                                c.maxFill > 0 && c.minFill <= c.maxFill &&
+                                (c.priceFactor === undefined || (typeof c.priceFactor === 'number' && c.priceFactor > 0));
+                            if (!valid) {
+                                errors.push(`cylinderCatalogues.${agentId}[${i}] needs volume, minFill and maxFill with minFill no more than maxFill`);
+                            }
+                        });
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    // Currency and unit-rate changes from one price list to another, in COST_MULTIPLIER_FIELDS order;
+    // percentage change is left out for prices in different currencies
+    function diffPriceLists(from, to) {
+        const sameCurrency = from.currency === to.currency;
+        const changes = [];
+        if (!sameCurrency) {
+            changes.push({ key: 'currency', name: 'Currency', from: from.currency, to: to.currency, change: null });
+        }
+        Object.keys(COST_MULTIPLIER_FIELDS).forEach(key => {
+            const a = from.costMultipliers[key];
+            const b = to.costMultipliers[key];
+            if (a === b) return;
+            const comparable = sameCurrency || COST_MULTIPLIER_FIELDS[key].group === 'factors';
+            changes.push({
+                key,
+                name: COST_MULTIPLIER_FIELDS[key].name,
+                from: a,
+                to: b,
+                change: comparable && a > 0 && typeof b === 'number' ? round((b - a) / a * 100, 2) : null
+            });
+        });
+        return changes;
+    }
+
+    // ============================================================================
+    // TAX
+    // ============================================================================
+
+    // taxCodes: per-line overrides of BOQ_TAX_CODES, e.g. from a company price list
+    function getTaxCode(key, taxCodes) {
+        return (taxCodes && taxCodes[key]) || BOQ_TAX_CODES[key] || { code: null, type: null, description: 'Other' };
+    }
+
+    // Tax components for one rate: VAT, IGST, or CGST + SGST/UTGST split in half
+    function splitTax(jurisdiction, supplyType, rate, unionTerritory) {
+        if (!jurisdiction.tax) return [];
+        if (supplyType === 'intra-state') {
+            return [
+                { name: 'CGST', rate: rate / 2 },
+                { name: unionTerritory ? 'UTGST' : 'SGST', rate: rate / 2 }
+            ];
+        }
+        if (supplyType === 'inter-state') return [{ name: 'IGST', rate }];
+        return [{ name: jurisdiction.tax, rate }];
+    }
+
+    // Tax on a BOQ, summarised per HSN/SAC code and rate. Tax is added on top of the grand total,
+    // which already includes contingency - it is never folded into the contingency factor.
+    // options: { jurisdiction, supplierState, placeOfSupply (GST state codes), taxCodes, taxRates: { IN: { '8424': 12 } } }
+    function calculateTax(boq, options = {}) {
+        const id = options.jurisdiction || 'none';
+        const jurisdiction = TAX_JURISDICTIONS[id];
+        if (!jurisdiction) {
+            throw new Error(`Unknown tax jurisdiction: ${id}`);
+        }
+
+        let supplyType = null;
+        let unionTerritory = false;
+        if (jurisdiction.splitByState) {
+            const supplier = INDIAN_STATES.find(st => st.code === options.supplierState);
+            const place = INDIAN_STATES.find(st => st.code === options.placeOfSupply);
+            if (!supplier || !place) {
+                throw new Error('GST needs the supplier state and the place of supply');
+            }
+            supplyType = supplier.code === place.code ? 'intra-state' : 'inter-state';
+            unionTerritory = Boolean(place.ut);
+        }
+
+        const rateOverrides = (options.taxRates || {})[id] || {};
+        const rows = [];
+        boq.lines.concat(boq.adjustments).forEach(item => {
+            const taxCode = getTaxCode(item.key, options.taxCodes);
+            const rate = jurisdiction.tax
+                ? (rateOverrides[taxCode.code] !== undefined ? rateOverrides[taxCode.code] : jurisdiction.rate)
+                : 0;
+            let row = rows.find(r => r.code === taxCode.code && r.rate === rate);
+            if (!row) {
+                row = { code: taxCode.code, type: taxCode.type, description: taxCode.description, rate, taxableValue: 0 };
+                rows.push(row);
+            }
+            row.taxableValue += item.total;
+        });
+
+        const components = [];
+        rows.forEach(row => {
+            row.taxableValue = round(row.taxableValue, 2);
+            row.components = splitTax(jurisdiction, supplyType, row.rate, unionTerritory).map(c => ({
+                ...c,
+                amount: round(row.taxableValue * c.rate / 100, 2)
+            }));
+            row.tax = round(row.components.reduce((sum, c) => sum + c.amount, 0), 2);
+
+            row.components.forEach(c => {
+                const label = `${c.name} @ ${round(c.rate, 2)}%`;
+                const total = components.find(t => t.label === label);
+                if (total) {
+                    total.amount = round(total.amount + c.amount, 2);
+                } else {
+                    components.push({ label, name: c.name, rate: c.rate, amount: c.amount });
+                }
+            });
+        });
+
+        const totalTax = round(rows.reduce((sum, r) => sum + r.tax, 0), 2);
+        return {
+            jurisdiction: id,
+            name: jurisdiction.name,
+            tax: jurisdiction.tax,
+            supplyType,
+            supplierState: options.supplierState || null,
+            placeOfSupply: options.placeOfSupply || null,
+            lines: rows,
+            components,
+            taxableValue: boq.grandTotal,
+            totalTax,
+            totalWithTax: round(boq.grandTotal + totalTax, 2),
+            currency: boq.currency
+        };
+    }
+
+    // ============================================================================
+    // MULTI-ROOM PROJECT
+    // ============================================================================
+
+    // options: { centralBank } plus the performNFPA2001Calculation options
+    function performProjectCalculation(rooms, options = {}) {
+        if (!Array.isArray(rooms) || rooms.length === 0) {
+            throw new Error('A project needs at least one room');
+        }
+
+        const usedNames = [];
+        const roomResults = rooms.map((room, index) => {
+            let name = room.roomName || `Room ${index + 1}`;
+            if (usedNames.includes(name)) name = `${name} (${index + 1})`;
+            usedNames.push(name);
+
+            try {
+                return { name, formData: room, calculationResults: performNFPA2001Calculation(room, options) };
+            } catch (error) {
+                throw new Error(`${name}: ${error.message}`);
+            }
+        });
+
+        // The largest hazard governs the size of a shared cylinder bank
+        const governing = roomResults.reduce((largest, room) =>
+            room.calculationResults.agentWeight > largest.calculationResults.agentWeight ? room : largest);
+        const g = governing.calculationResults;
+
+        const agentIds = [...new Set(roomResults.map(room => room.calculationResults.agent))];
+
+        // A manifolded bank uses a single container size for the whole governing charge
+        const centralBank = Boolean(options.centralBank) && rooms.length > 1;
+        if (centralBank && agentIds.length > 1) {
+            throw new Error('A central cylinder bank requires every room to use the same agent');
+        }
+
+        let bank = null;
+        if (centralBank) {
+            const cylinders = selectCylinders(g.agentWeight, {
+                ...options,
+                cylinderCatalogue: getCylinderCatalogue(getAgent(g.agent), options),
+                strategy: governing.formData.cylinderStrategy
+            });
+            const cylinderSelection = [{ zone: 'Central Cylinder Bank', ...cylinders }];
+            bank = {
+                governingRoom: governing.name,
+                agentWeight: g.agentWeight,
+                cylinderCount: cylinders.count,
+                cylinderSize: cylinders.maxFill,
+                cylinderSelection: cylinderSelection,
+                cylinderDescription: describeCylinders(cylinderSelection),
+                selectorValveCount: rooms.length
+            };
+
+            // A selector valve releases the whole bank into one room, so each room's exposure
+            // is checked against the bank charge, spread over its zones in proportion to their need
+            roomResults.forEach(room => {
+                const r = room.calculationResults;
+                const roomSupplied = r.zones.reduce((total, zone) => total + zone.cylinders.agentSupplied, 0);
+                const share = cylinders.agentSupplied / roomSupplied;
+                const bankZones = r.zones.map(zone => ({
+                    ...zone,
+                    cylinders: { ...zone.cylinders, agentSupplied: zone.cylinders.agentSupplied * share }
+                }));
+                const altitudeFactor = resolveCorrections(room.formData, r.concentrationTrace).altitudeFactor;
+                r.safety = { ...assessOccupationalSafety(room.formData, bankZones, altitudeFactor), bankCharge: cylinders.agentSupplied };
+                r.warnings = r.safety.warnings.concat(r.warnings.filter(w => w.source !== 'safety'));
+            });
+        }
+
+        const sum = (field, decimals) => round(roomResults.reduce((total, room) => total + room.calculationResults[field], 0), decimals);
+
+        const zones = [];
+        const obstructions = [];
+        const roomSelection = [];
+        roomResults.forEach(room => {
+            room.calculationResults.cylinderSelection.forEach(s => {
+                roomSelection.push({ ...s, zone: s.zone === 'Room' ? room.name : `${room.name} - ${s.zone}` });
+            });
+            (room.calculationResults.zones || []).forEach(zone => {
+                zones.push({ ...zone, name: zone.key === 'room' ? room.name : `${room.name} - ${zone.name}` });
+            });
+            room.calculationResults.obstructions.forEach(item => {
+                obstructions.push({ ...item, name: `${room.name} - ${item.name}` });
+            });
+        });
+
+        // The least safe room represents the project; every room's warnings are listed
+        const statusRank = { ok: 0, caution: 1, danger: 2 };
+        const worstSafety = roomResults.map(room => ({ room: room.name, ...room.calculationResults.safety }))
+            .reduce((a, b) => (statusRank[b.status] > statusRank[a.status] ||
+                (statusRank[b.status] === statusRank[a.status] && b.maxConcentration > a.maxConcentration) ? b : a));
+        const warnings = [];
+        roomResults.forEach(room => {
+            room.calculationResults.warnings.forEach(w => warnings.push({ ...w, message: `${room.name}: ${w.message}` }));
+        });
+
+        // Project totals keep the single-room calculationResults shape
+        const calculationResults = {
+            agentWeight: bank ? bank.agentWeight : sum('agentWeight', 2),
+            cylinderCount: bank ? bank.cylinderCount : sum('cylinderCount', 0),
+            nozzleCount: sum('nozzleCount', 0),
+            cylinderSize: bank ? bank.cylinderSize : g.cylinderSize,
+            cylinderSelection: bank ? bank.cylinderSelection : roomSelection,
+            cylinderDescription: bank ? bank.cylinderDescription : describeCylinders(roomSelection),
+
+            grossVolume: sum('grossVolume', 2),
+            obstructionVolume: sum('obstructionVolume', 2),
+            netVolume: sum('netVolume', 2),
+            obstructions: obstructions,
+            zones: zones,
+            floorArea: sum('floorArea', 2),
+            pipingLength: sum('pipingLength', 2),
+
+            agent: g.agent,
+            agentName: agentIds.map(id => getAgent(id).name).join(' / '),
+            agentType: g.agentType,
+            specificVaporVolume: g.specificVaporVolume,
+            concentration: g.concentration,
+            concentrationTrace: g.concentrationTrace,
+            safety: worstSafety,
+            warnings: warnings,
+            designTemperature: g.designTemperature,
+            altitude: g.altitude,
+            altitudeFactor: g.altitudeFactor,
+            corrections: g.corrections,
+            quantityFactor: g.quantityFactor,
+            governingRoom: governing.name,
+
+            calculationMethod: g.calculationMethod,
+            units: UNITS
+        };
+
+        return {
+            calculationResults,
+            project: {
+                roomCount: rooms.length,
+                centralBank,
+                bank,
+                rooms: roomResults
+            }
+        };
+    }
+
+    // options: { currency } the prices are stated in
+    function calculateProjectCosts(project, costMultipliers, options = {}) {
+        const m = costMultipliers || DEFAULT_COST_MULTIPLIERS;
+        const { currency } = options;
+        const excludeKeys = project.centralBank ? CYLINDER_BANK_KEYS : [];
+
+        const roomBOQs = project.rooms.map(room => buildBOQ(room.calculationResults, m, { excludeKeys, group: room.name, currency }));
+
+        let lines = roomBOQs.reduce((all, boq) => all.concat(boq.lines), []);
+
+        if (project.centralBank) {
+            const { bank } = project;
+            const group = `Central Cylinder Bank (sized for ${bank.governingRoom})`;
+            const bankLines = buildBOQLines({ ...project.rooms[0].calculationResults, ...bank }, m)
+                .filter(l => CYLINDER_BANK_KEYS.includes(l.key));
+
+            lines = lines.concat(
+                bankLines.map(l => ({ ...l, group })),
+                [{ ...boqLine('selectorValveCost', 'equipment', 'cylinders', 'Selector Valves', bank.selectorValveCount, 'nos', m.selectorValve), group }]
+            );
+        }
+
+        return {
+            costResults: flattenBOQ(summarizeBOQ(lines, m, currency)),
+            roomCosts: roomBOQs.map(flattenBOQ)
+        };
+    }
+
+    // ============================================================================
+    // PROJECT FILES
+    // ============================================================================
+
+    // Dotted version order, e.g. 6.2 < 6.10
+    function compareVersions(a, b) {
+        return String(a).localeCompare(String(b), undefined, { numeric: true });
+    }
+
+    // { format, fileVersion, appVersion, savedAt, projectId, calculatedAt, priceList, inputs, results, quotation }
+    // options: { appVersion, projectId, savedAt }; the id and save time default to the calculation's metadata and now
+    function createProjectFile(completeData, options = {}) {
+        const { formData, calculationResults, costResults, project, quotation } = completeData;
+        const metadata = completeData.metadata || {};
+        return {
+            format: PROJECT_FILE.format,
+            fileVersion: PROJECT_FILE.version,
+            appVersion: options.appVersion,
+            savedAt: options.savedAt || new Date().toISOString(),
+            projectId: options.projectId || metadata.projectId || null,
+            calculatedAt: metadata.timestamp || null,
+            priceList: metadata.priceList || null,
+            inputs: {
+                formData: formData,
+                rooms: project ? project.rooms.map(room => room.formData) : null,
+                centralBank: project ? project.centralBank : false
+            },
+            results: {
+                calculationResults: calculationResults,
+                costResults: costResults,
+                project: project || null
+            },
+            quotation: quotation || null
+        };
+    }
+
+    // Brings an older file up to the current layout; returns { projectFile, migratedFrom } and throws when it cannot.
+    // Version 0 is the bare calculation (or saved-calculation entry, which early on held only the form data) from before project files existed.
+    // appVersion is the running calculator's; a file saved by an older one is reported in migratedFrom
+    function migrateProjectFile(contents, appVersion) {
+        const entryData = contents && contents.data && contents.data.roomLength !== undefined ? { formData: contents.data } : null;
+        const legacy = contents && !contents.format ? [contents, contents.data, entryData].find(data => data && data.formData) : null;
+        let projectFile = legacy || contents;
+        let fileVersion = legacy ? 0 : contents && contents.fileVersion;
+
+        if (fileVersion > PROJECT_FILE.version) {
+            throw new Error(`file version ${fileVersion} was saved by a newer calculator - update to open it`);
+        }
+
+        const steps = {
+            // Wrap the stored calculation; it carries the app version in its metadata
+            0: (data) => {
+                const metadata = data.metadata || {};
+                return createProjectFile(data, {
+                    appVersion: metadata.version || '6.0',
+                    savedAt: metadata.timestamp || contents.timestamp
+                });
+            }
+        };
+        while (Number.isInteger(fileVersion) && fileVersion < PROJECT_FILE.version && steps[fileVersion]) {
+            projectFile = steps[fileVersion](projectFile);
+            fileVersion = projectFile.fileVersion;
+        }
+
+        // Reported so the user knows the saved results came from an older engine; opening recalculates them
+        const savedVersion = projectFile && projectFile.appVersion;
+        const older = legacy || (savedVersion && compareVersions(savedVersion, appVersion) < 0);
+        return { projectFile, migratedFrom: older ? savedVersion : null };
+    }
+
+    return {
+        CONSTANTS,
+        AGENTS,
+        HAZARD_CLASSES,
+        EXPERT_FACTORS,
+        NOZZLE_TYPES,
+        DETECTION_STANDARDS,
+        VENT_DAMPERS,
+        PIPE_SIZES,
+        FUELS,
+        ATMOSPHERIC_CORRECTION_TABLE,
+        UNITS,
+        UNIT_SYSTEMS,
+        UNIT_CONVERSIONS,
+        DEFAULT_CYLINDER_CATALOGUE,
+        DEFAULT_COST_MULTIPLIERS,
+        DEFAULT_EXCHANGE_RATES,
+        DEFAULT_PRICE_LIST,
+        TAX_JURISDICTIONS,
+        INDIAN_STATES,
+        BOQ_TAX_CODES,
+        COST_MULTIPLIER_FIELDS,
+        COST_MULTIPLIER_GROUPS,
+        PROJECT_FILE,
+
+        round,
+        unitLabel,
+        fromSI,
+        toSI,
+        getAgent,
+        deriveDesignConcentration,
+        calculateConcentration,
+        validateInput,
+        calculateSpecificVaporVolume,
+        calculateAtmosphericCorrection,
+        calculateObstructionVolume,
+        calculateAgentWeight,
+        selectCylinders,
+        planNozzleLayout,
+        designDetection,
+        estimateHoldTime,
+        calculateVenting,
+        calculateHydraulics,
+        performNFPA2001Calculation,
+        buildBOQ,
+        convertCurrency,
+        calculateSystemCosts,
+        checkCostMultiplier,
+        validatePriceList,
+        diffPriceLists,
+        getTaxCode,
+        calculateTax,
+        performProjectCalculation,
+        calculateProjectCosts,
+        compareVersions,
+        createProjectFile,
+        migrateProjectFile
+    };
+});
@@ -1,66 +1,94 @@
 // FM-200 Calculator - Fixed Version with Proper Data Passing
-// Version 6.1 - Fixed calculation flow
+// Version 6.2 - Fixed calculation flow
 
 // ============================================================================
 // CONFIGURATION & CONSTANTS
 // ============================================================================
 
 const APP_CONFIG = {
-    version: '6.1',
+    version: '6.2',
     appName: 'FM-200 Calculator',
     developer: 'Fire Safety Tools',
     contactEmail: 'contact@amjathkhan.com',
     contactPhone: '+91-9750816163',
     
-    // Calculation Constants (NFPA 2001)
-    MIN_CONCENTRATION: 7.0,
-    SPECIFIC_VAPOR_BASE: 0.1269,
-    SPECIFIC_VAPOR_TEMP_FACTOR: 0.0005,
+    // Calculation constants and SI units live in the engine (engine.js); display units follow userPrefs.unitSystem
+    units: FM200Engine.UNITS,
     
-    // Units
-    units: {
-        volume: 'm³',
-        weight: 'kg',
-        temperature: '°C',
-        length: 'm',
-        area: 'm²'
+    // Pricing data files, tried in order before the built-in defaults
+    dataFiles: ['data.json', 'data_fallback.json'],
+    
+    // Quotation currencies: display name and number-formatting locale; other rate codes format as en-US
+    currencies: {
+        INR: { name: 'Indian Rupees', locale: 'en-IN' },
+        USD: { name: 'US Dollars', locale: 'en-US' },
+        EUR: { name: 'Euros', locale: 'en-IE' },
+        AED: { name: 'UAE Dirhams', locale: 'en-AE' }
     },
     
+    // Project file format, version and migrations live in the engine (engine.js)
+    projectFile: FM200Engine.PROJECT_FILE,
+    
     // Storage Keys - FIXED NAMES
     storageKeys: {
         CALCULATION_DATA: 'fm200_calculation_data',
+        LAST_CALCULATION: 'fm200_last_calculation',
         USER_PREFERENCES: 'fm200_user_prefs',
-        VISITOR_COUNT: 'fm200_visitor_count'
-    }
+        VISITOR_COUNT: 'fm200_visitor_count',
+        PROJECT_ROOMS: 'fm200_project_rooms',
+        PRICE_LIST: 'fm200_price_list',
+        SAVED_CALCULATIONS: 'fm200SavedCalculations',
+        COMPARISON: 'fm200_comparison'
+    },
+    
+    // Scenarios shown side by side on the compare page
+    maxCompareScenarios: 4
 };
 
 // ============================================================================
-// DEFAULT DATA - INR ONLY
+// DEFAULT DATA
 // ============================================================================
 
+// Expert-mode factor keys (engine input) and the form fields that hold them
+const EXPERT_FACTOR_FIELDS = {
+    altitudeFactor: 'altitude-factor',
+    highTempFactor: 'high-temp-factor',
+    criticalAreaFactor: 'critical-area-factor',
+    safetyFactor: 'safety-factor',
+    designMargin: 'design-margin'
+};
+
+// Form defaults for inputs an older file or a shared link leaves out (shared links omit them to stay short)
+const INPUT_DEFAULTS = {
+    roomName: 'Room 1',
+    raisedFloorDepth: 0,
+    ceilingVoidDepth: 0,
+    agent: FM200Engine.CONSTANTS.DEFAULT_AGENT,
+    occupancy: 'occupied',
+    cylinderStrategy: 'cost',
+    nozzleType: FM200Engine.CONSTANTS.DEFAULT_NOZZLE_TYPE,
+    detectionStandard: FM200Engine.CONSTANTS.DEFAULT_DETECTION_STANDARD,
+    detectorType: 'smoke',
+    exitCount: 1
+};
+
+// Form inputs that are objects or lists rather than a single value
+const STRUCTURED_INPUTS = ['integrity', 'venting', 'expertFactors', 'obstructions', 'pipeNetwork'];
+
+// Quotation form fields kept with the calculation and written to project files
+const QUOTATION_FIELDS = [
+    'quotationNumber', 'quotationDate', 'validUntil',
+    'clientName', 'clientContact', 'clientEmail', 'clientPhone', 'clientAddress',
+    'senderName', 'senderEmail', 'senderPhone', 'senderWebsite',
+    'paymentTerms', 'deliveryTime', 'scopeOfWork'
+];
+
 const DEFAULT_DATA = {
-    costMultipliers: {
-        "agentCostPerKg": 4000.00,        // INR per kg
-        "cylinderCost": 90000.00,         // INR per cylinder
-        "nozzleCost": 8000.00,           // INR per nozzle
-        "pipingCostPerMeter": 1200.00,   // INR per meter
-        "fittingsCost": 15000.00,        // INR
-        "valveAssembly": 25000.00,       // INR
-        "mountingHardware": 5000.00,     // INR
-        "detectionPanel": 120000.00,     // INR
-        "smokeDetector": 4500.00,        // INR
-        "heatDetector": 3800.00,         // INR
-        "manualCallPoint": 2500.00,      // INR
-        "hooterStrobe": 3500.00,         // INR
-        "warningSigns": 2000.00,         // INR
-        "installationLaborPerHour": 850.00,  // INR per hour
-        "engineeringDesign": 75000.00,   // INR
-        "commissioningTesting": 50000.00, // INR
-        "documentation": 15000.00,       // INR
-        "installationFactor": 1.28,      // 28% installation factor
-        "engineeringFactor": 1.15,       // 15% engineering factor
-        "contingencyFactor": 1.18        // 18% contingency
-    }
+    version: FM200Engine.DEFAULT_PRICE_LIST.version,
+    currency: FM200Engine.DEFAULT_PRICE_LIST.currency,
+    costMultipliers: FM200Engine.DEFAULT_COST_MULTIPLIERS,
+    exchangeRates: FM200Engine.DEFAULT_EXCHANGE_RATES,
+    cylinderCatalogues: {}          // per-agent overrides of the engine's container catalogues
 };
 
 // ============================================================================
@@ -71,7 +99,7 @@ class FM200Calculator {
     constructor() {
         this.currentData = null;
         this.userPrefs = this.loadPreferences();
-        this.costMultipliers = DEFAULT_DATA.costMultipliers;
+        this.applyPriceList(DEFAULT_DATA, 'built-in defaults');
         
         this.initializeApp();
     }
@@ -95,17 +123,31 @@ class FM200Calculator {
         }, 800);
 
         const path = window.location.pathname;
+        this.initUnitSystem();
+
+        // Started before the pages so they can wait for the prices (a shared link is recalculated with them)
+        this.priceListLoaded = this.loadPriceList();
         
         if (path.includes('index.html') || path === '/' || path.includes('/index.html')) {
+            this.page = 'calculator';
             this.initCalculatorPage();
         } else if (path.includes('results.html')) {
+            this.page = 'results';
             this.initResultsPage();
         } else if (path.includes('quotation.html')) {
+            this.page = 'quotation';
             this.initQuotationPage();
+        } else if (path.includes('pricing.html')) {
+            this.page = 'pricing';
+            this.initPricingPage();
+        } else if (path.includes('compare.html')) {
+            this.page = 'compare';
+            this.initComparePage();
         }
 
         this.initThemeToggle();
         this.initExpertMode();
+        this.initCurrencySelectors();
         this.updateVisitorCounter();
         
         console.log('Application initialized successfully');
@@ -126,7 +168,8 @@ class FM200Calculator {
         }
         return {
             theme: 'light',
-            expertMode: false
+            expertMode: false,
+            unitSystem: 'metric'
         };
     }
 
@@ -138,6 +181,547 @@ class FM200Calculator {
         }
     }
 
+    // ============================================================================
+    // UNIT SYSTEM
+    // ============================================================================
+
+    // Preferences saved before the unit setting are metric
+    getUnitSystem() {
+        return this.userPrefs.unitSystem === 'imperial' ? 'imperial' : 'metric';
+    }
+
+    unitLabel(quantity) {
+        return FM200Engine.unitLabel(quantity, this.getUnitSystem());
+    }
+
+    // Metric values are shown as the engine rounded them unless decimals is given
+    displayValue(value, quantity, decimals) {
+        const system = this.getUnitSystem();
+        const converted = FM200Engine.fromSI(value, quantity, system);
+        if (decimals === undefined) {
+            decimals = system === 'imperial' ? FM200Engine.UNIT_CONVERSIONS[quantity].decimals : null;
+        }
+        return decimals === null || converted === null || converted === undefined ? converted : this.round(converted, decimals);
+    }
+
+    formatUnit(value, quantity, decimals) {
+        return `${this.displayValue(value, quantity, decimals)} ${this.unitLabel(quantity)}`;
+    }
+
+    // Unit-bearing inputs carry data-unit and show the chosen system; blank inputs read as null.
+    // A converted value the user has not edited reads back as the exact SI value it was written from.
+    readUnitInput(input, system = this.getUnitSystem()) {
+        if (!input || input.value === '') return null;
+        if (input.dataset.siValue !== undefined && input.dataset.shownValue === input.value) {
+            return parseFloat(input.dataset.siValue);
+        }
+        const value = parseFloat(input.value);
+        if (isNaN(value)) return null;
+        return input.dataset.unit ? this.round(FM200Engine.toSI(value, input.dataset.unit, system), 6) : value;
+    }
+
+    writeUnitInput(input, value) {
+        if (!input) return;
+        if (value === null || value === undefined || value === '') {
+            input.value = '';
+            return;
+        }
+        if (!input.dataset.unit) {
+            input.value = value;
+            return;
+        }
+        input.value = this.displayValue(value, input.dataset.unit, 4);
+        input.dataset.siValue = value;
+        input.dataset.shownValue = input.value;
+    }
+
+    getUnitValue(elementId) {
+        return this.readUnitInput(document.getElementById(elementId));
+    }
+
+    setUnitValue(elementId, value) {
+        this.writeUnitInput(document.getElementById(elementId), value);
+    }
+
+    initUnitSystem() {
+        const select = document.getElementById('unitSystem');
+        if (select) {
+            select.value = this.getUnitSystem();
+            select.addEventListener('change', () => this.setUnitSystem(select.value));
+        }
+
+        // Form defaults are written in metric
+        this.applyUnitSystem('metric');
+    }
+
+    setUnitSystem(system) {
+        const previous = this.getUnitSystem();
+        if (system === previous) return;
+
+        this.userPrefs.unitSystem = system;
+        this.savePreferences();
+        this.applyUnitSystem(previous);
+
+        if (this.page === 'calculator') {
+            this.updateQuickPreview();
+            this.renderProjectRoomList();
+        } else if (this.page === 'results' && this.currentData) {
+            this.renderResultsPage();
+        } else if (this.page === 'quotation' && this.currentData) {
+            this.updateQuotationPreview();
+        } else if (this.page === 'compare') {
+            this.renderComparison();
+        }
+    }
+
+    // Converts filled inputs from the previous system in place and relabels their units
+    applyUnitSystem(previous) {
+        const system = this.getUnitSystem();
+        if (previous !== system) {
+            document.querySelectorAll('input[data-unit]').forEach(input => {
+                const value = this.readUnitInput(input, previous);
+                if (value !== null) this.writeUnitInput(input, value);
+            });
+        }
+
+        document.querySelectorAll('.unit-label[data-unit]').forEach(label => {
+            label.textContent = this.unitLabel(label.dataset.unit);
+        });
+    }
+
+    // ============================================================================
+    // PRICE LIST
+    // ============================================================================
+
+    // Engine schema check plus a rate for the list's own currency, so quotes can convert from it
+    checkPriceList(data) {
+        const errors = FM200Engine.validatePriceList(data);
+        if (errors.length === 0) {
+            const rates = data.exchangeRates || this.fileExchangeRates;
+            if (!(rates[data.currency] > 0)) {
+                errors.push(`No exchange rate for the price-list currency ${data.currency}`);
+            }
+        }
+        return errors;
+    }
+
+    // First data file that loads and passes the schema check; null when none does (e.g. opened from file://)
+    async fetchDataFile() {
+        for (const file of APP_CONFIG.dataFiles) {
+            try {
+                const response = await fetch(file, { cache: 'no-cache' });
+                if (!response.ok) continue;
+
+                const data = await response.json();
+                const errors = this.checkPriceList(data);
+                if (errors.length === 0) {
+                    return { file, data };
+                }
+                console.warn(`${file} is not a valid price list:`, errors);
+            } catch (e) {
+                console.warn(`Could not load ${file}:`, e);
+            }
+        }
+        return null;
+    }
+
+    // Saved price-list versions: { active: version name or null, versions: [{ data, origin, savedAt }] }
+    loadPriceLibrary() {
+        try {
+            const library = JSON.parse(localStorage.getItem(APP_CONFIG.storageKeys.PRICE_LIST));
+            if (library && Array.isArray(library.versions)) return library;
+        } catch (e) {
+            console.warn('Error loading saved price lists:', e);
+        }
+        return { active: null, versions: [] };
+    }
+
+    savePriceLibrary(library) {
+        localStorage.setItem(APP_CONFIG.storageKeys.PRICE_LIST, JSON.stringify(library));
+    }
+
+    getPriceVersion(name) {
+        return this.loadPriceLibrary().versions.find(entry => entry.data.version === name) || null;
+    }
+
+    // Adds or replaces the version with the same name
+    savePriceVersion(data, origin, activate) {
+        const library = this.loadPriceLibrary();
+        const entry = { data, origin, savedAt: new Date().toISOString() };
+        const index = library.versions.findIndex(v => v.data.version === data.version);
+        if (index >= 0) {
+            library.versions[index] = entry;
+        } else {
+            library.versions.push(entry);
+        }
+        if (activate) library.active = data.version;
+        this.savePriceLibrary(library);
+        return this.loadPriceList();
+    }
+
+    // null goes back to the standard list (data files or built-in defaults)
+    setActivePriceVersion(name) {
+        const library = this.loadPriceLibrary();
+        library.active = name || null;
+        this.savePriceLibrary(library);
+        return this.loadPriceList();
+    }
+
+    deletePriceVersion(name) {
+        const library = this.loadPriceLibrary();
+        library.versions = library.versions.filter(entry => entry.data.version !== name);
+        if (library.active === name) library.active = null;
+        this.savePriceLibrary(library);
+        return this.loadPriceList();
+    }
+
+    // Active saved version, else data.json, else data_fallback.json, else the built-in defaults
+    async loadPriceList() {
+        this.applyPriceList(DEFAULT_DATA, 'built-in defaults');
+        this.standardPriceList = { data: DEFAULT_DATA, source: 'built-in defaults' };
+
+        const loaded = await this.fetchDataFile();
+        if (loaded) {
+            this.applyPriceList(loaded.data, loaded.file);
+            this.standardPriceList = { data: loaded.data, source: loaded.file };
+        }
+
+        const library = this.loadPriceLibrary();
+        const active = library.active && this.getPriceVersion(library.active);
+        if (active) {
+            const errors = this.checkPriceList(active.data);
+            if (errors.length === 0) {
+                this.applyPriceList(active.data, active.origin);
+            } else {
+                console.warn(`Saved price list ${library.active} is no longer valid:`, errors);
+            }
+        }
+
+        this.refreshCurrencyViews();
+        this.renderPriceListStatus();
+        if (this.page === 'pricing') {
+            this.renderPricingPage();
+        }
+    }
+
+    // data has already passed checkPriceList; exchange rates are only replaced when the list carries them
+    applyPriceList(data, source) {
+        this.costMultipliers = data.costMultipliers;
+        this.cylinderCatalogues = data.cylinderCatalogues || {};
+        this.taxCodes = data.taxCodes || {};
+        this.taxRates = data.taxRates || {};
+        this.priceList = {
+            version: data.version || source,
+            source,
+            currency: data.currency
+        };
+
+        if (data.exchangeRates) {
+            this.fileExchangeRates = { ...data.exchangeRates };
+            this.exchangeRatesSource = {
+                name: source,
+                date: data.exchangeRatesDate || new Date().toISOString().slice(0, 10)
+            };
+        }
+        this.exchangeRates = this.applyRateOverrides();
+    }
+
+    // Imported lists are saved as a version (named after the file when they carry no version) and made active
+    importPriceList(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                this.showNotification(`${file.name} is not valid JSON.`, 'error');
+                return;
+            }
+
+            const errors = this.checkPriceList(data);
+            if (errors.length > 0) {
+                const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+                this.showNotification(`Price list not imported: ${errors.slice(0, 3).join('; ')}${more}`, 'error');
+                return;
+            }
+
+            data.version = data.version || file.name.replace(/\.json$/i, '');
+            this.savePriceVersion(data, `imported ${file.name}`, true).then(() => {
+                this.showNotification(`Price list ${data.version} imported and active - new calculations use it.`, 'success');
+            });
+        };
+        reader.readAsText(file);
+    }
+
+    exportPriceList(data) {
+        const json = JSON.stringify(data, null, 2);
+        const link = document.createElement('a');
+        link.setAttribute('href', 'data:application/json;charset=utf-8,' + encodeURIComponent(json));
+        link.setAttribute('download', `price-list-${data.version.replace(/[^\w.-]+/g, '_')}.json`);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    initPriceListImport() {
+        const fileInput = document.getElementById('priceListFile');
+        const importBtn = document.getElementById('importPriceListBtn');
+        if (fileInput && importBtn) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) this.importPriceList(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+
+        const removeBtn = document.getElementById('removePriceListBtn');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                this.setActivePriceVersion(null).then(() => {
+                    this.showNotification('Using the standard price list.', 'info');
+                });
+            });
+        }
+
+        this.renderPriceListStatus();
+    }
+
+    renderPriceListStatus() {
+        this.setElementText('priceListStatus', this.describePriceList(this.priceList));
+
+        const removeBtn = document.getElementById('removePriceListBtn');
+        if (removeBtn) {
+            removeBtn.style.display = this.loadPriceLibrary().active ? '' : 'none';
+        }
+    }
+
+    describePriceList(priceList) {
+        if (!priceList) return '';
+        const source = priceList.source !== priceList.version ? ` from ${priceList.source}` : '';
+        return `Price list ${priceList.version}${source}, prices in ${priceList.currency}`;
+    }
+
+    // ============================================================================
+    // CURRENCY
+    // ============================================================================
+
+    // User-edited rates (per US dollar, like the data file) win over the loaded ones
+    applyRateOverrides() {
+        const rates = { ...this.fileExchangeRates };
+        Object.entries(this.userPrefs.exchangeRates || {}).forEach(([code, edit]) => {
+            if (edit && edit.rate > 0) rates[code] = edit.rate;
+        });
+        return rates;
+    }
+
+    // BOQ amounts are priced in this currency
+    getBaseCurrency() {
+        const costResults = this.currentData && this.currentData.costResults;
+        return (costResults && costResults.currency) || 'INR';
+    }
+
+    // Grand total in costResults.currency; data saved before multi-currency pricing only has totalINR
+    getCostTotal(costResults) {
+        return costResults.total !== undefined ? costResults.total : costResults.totalINR;
+    }
+
+    getCurrency() {
+        const currency = this.userPrefs.currency;
+        return currency && this.exchangeRates[currency] > 0 ? currency : this.getBaseCurrency();
+    }
+
+    getCurrencyName(code) {
+        return (APP_CONFIG.currencies[code] || {}).name || code;
+    }
+
+    // Rate from the BOQ currency to the chosen one, with where it came from and when
+    getExchangeRateInfo() {
+        const base = this.getBaseCurrency();
+        const currency = this.getCurrency();
+        const edit = (this.userPrefs.exchangeRates || {})[currency];
+        return {
+            base,
+            currency,
+            rate: FM200Engine.convertCurrency(1, base, currency, this.exchangeRates),
+            source: edit ? 'edited rate' : this.exchangeRatesSource.name,
+            date: edit ? edit.date : this.exchangeRatesSource.date
+        };
+    }
+
+    describeExchangeRate() {
+        const info = this.getExchangeRateInfo();
+        if (info.base === info.currency) return '';
+        const date = new Date(info.date).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' });
+        return `1 ${info.base} = ${this.round(info.rate, 6)} ${info.currency} (${info.source}, ${date})`;
+    }
+
+    convertAmount(amount) {
+        return FM200Engine.convertCurrency(amount, this.getBaseCurrency(), this.getCurrency(), this.exchangeRates);
+    }
+
+    setCurrency(currency) {
+        this.userPrefs.currency = currency;
+        this.savePreferences();
+        this.refreshCurrencyViews();
+    }
+
+    // rate is per unit of the BOQ currency; a blank rate goes back to the loaded one
+    setExchangeRate(currency, rate) {
+        const overrides = { ...(this.userPrefs.exchangeRates || {}) };
+        if (rate > 0) {
+            overrides[currency] = {
+                rate: rate * this.exchangeRates[this.getBaseCurrency()],
+                date: new Date().toISOString().slice(0, 10)
+            };
+        } else {
+            delete overrides[currency];
+        }
+
+        this.userPrefs.exchangeRates = overrides;
+        this.savePreferences();
+        this.exchangeRates = this.applyRateOverrides();
+        this.refreshCurrencyViews();
+    }
+
+    initCurrencySelectors() {
+        ['currency', 'resultsCurrency'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.setCurrency(select.value));
+            }
+        });
+
+        const rateInput = document.getElementById('exchangeRate');
+        if (rateInput) {
+            rateInput.addEventListener('change', () => this.setExchangeRate(this.getCurrency(), parseFloat(rateInput.value)));
+        }
+
+        this.refreshCurrencyViews();
+    }
+
+    // Re-lists the configured currencies and re-prices whatever page is open
+    refreshCurrencyViews() {
+        const currency = this.getCurrency();
+        ['currency', 'resultsCurrency'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = Object.keys(this.exchangeRates)
+                .map(code => `<option value="${code}">${this.getCurrencyName(code)} (${code})</option>`)
+                .join('');
+            select.value = currency;
+        });
+
+        document.querySelectorAll('.currency-code').forEach(element => {
+            element.textContent = currency;
+        });
+
+        const info = this.getExchangeRateInfo();
+        const rateInput = document.getElementById('exchangeRate');
+        if (rateInput) {
+            rateInput.value = this.round(info.rate, 6);
+            rateInput.disabled = info.base === info.currency;
+        }
+        this.setElementText('exchangeRateBase', info.base);
+        this.setElementText('exchangeRateNote', info.base === info.currency
+            ? 'Quoted in the price-list currency - no conversion.'
+            : `${info.source === 'edited rate' ? 'Edited' : `From ${info.source}`}, ${info.date}. Clear the rate to go back to the loaded one.`);
+
+        const rateText = this.describeExchangeRate();
+        this.setElementText('resultsExchangeRate', rateText ? `Converted at ${rateText}.` : '');
+
+        if (!this.currentData) return;
+        if (this.page === 'results') {
+            this.renderProjectSummary();
+            this.renderBOQTable();
+        } else if (this.page === 'quotation') {
+            this.updateQuotationPreview();
+        }
+    }
+
+    // ============================================================================
+    // TAX
+    // ============================================================================
+
+    // Jurisdiction and GST states are chosen on the quotation page and kept with the preferences
+    getTaxSettings() {
+        const settings = { jurisdiction: 'none', supplierState: '', placeOfSupply: '', ...(this.userPrefs.tax || {}) };
+        if (!FM200Engine.TAX_JURISDICTIONS[settings.jurisdiction]) settings.jurisdiction = 'none';
+        return settings;
+    }
+
+    setTaxSettings(changes) {
+        this.userPrefs.tax = { ...this.getTaxSettings(), ...changes };
+        this.savePreferences();
+        this.renderTaxSettings();
+        this.refreshCurrencyViews();
+    }
+
+    // null while GST is missing the supplier state or place of supply
+    getTaxSummary(boq) {
+        try {
+            return FM200Engine.calculateTax(boq, {
+                ...this.getTaxSettings(),
+                taxCodes: this.taxCodes,
+                taxRates: this.taxRates
+            });
+        } catch (e) {
+            return null;
+        }
+    }
+
+    getStateName(code) {
+        const state = FM200Engine.INDIAN_STATES.find(st => st.code === code);
+        return state ? state.name : code;
+    }
+
+    describeTax(tax) {
+        if (!tax) return 'GST not applied - choose the supplier state and place of supply on the quotation page.';
+        if (!tax.tax) return 'Prices exclude tax (no tax jurisdiction selected).';
+        if (tax.supplyType === 'intra-state') {
+            return `${tax.tax} as intra-state supply within ${this.getStateName(tax.placeOfSupply)}.`;
+        }
+        if (tax.supplyType === 'inter-state') {
+            return `${tax.tax} as inter-state supply from ${this.getStateName(tax.supplierState)} to ${this.getStateName(tax.placeOfSupply)}.`;
+        }
+        return `${tax.tax} at ${FM200Engine.TAX_JURISDICTIONS[tax.jurisdiction].rate}% (${tax.name}).`;
+    }
+
+    describeTaxCode(key) {
+        const taxCode = FM200Engine.getTaxCode(key, this.taxCodes);
+        return taxCode.code ? `${taxCode.type} ${taxCode.code}` : '';
+    }
+
+    initTaxSettings() {
+        const stateOptions = '<option value="">Select state...</option>' + FM200Engine.INDIAN_STATES
+            .map(state => `<option value="${state.code}">${state.code} - ${state.name}</option>`)
+            .join('');
+        ['supplierState', 'placeOfSupply'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.innerHTML = stateOptions;
+        });
+
+        const jurisdiction = document.getElementById('taxJurisdiction');
+        if (jurisdiction) {
+            jurisdiction.innerHTML = Object.entries(FM200Engine.TAX_JURISDICTIONS)
+                .map(([id, j]) => `<option value="${id}">${j.name}</option>`)
+                .join('');
+        }
+
+        this.renderTaxSettings();
+    }
+
+    renderTaxSettings() {
+        const settings = this.getTaxSettings();
+        this.setFormValue('taxJurisdiction', settings.jurisdiction);
+        this.setFormValue('supplierState', settings.supplierState);
+        this.setFormValue('placeOfSupply', settings.placeOfSupply);
+
+        const stateRow = document.getElementById('gstStateRow');
+        if (stateRow) {
+            stateRow.style.display = FM200Engine.TAX_JURISDICTIONS[settings.jurisdiction].splitByState ? '' : 'none';
+        }
+    }
+
     // ============================================================================
     // CALCULATOR PAGE
     // ============================================================================
@@ -169,6 +753,11 @@ class FM200Calculator {
             });
         }
 
+        const copyLinkBtn = document.getElementById('copyLinkBtn');
+        if (copyLinkBtn) {
+            copyLinkBtn.addEventListener('click', () => this.copyCalculationLink());
+        }
+
         const expertToggle = document.getElementById('expertModeToggle');
         if (expertToggle) {
             expertToggle.checked = this.userPrefs.expertMode;
@@ -181,15 +770,30 @@ class FM200Calculator {
         }
 
         this.setDefaultValues();
+        this.initAgentSelector();
+        this.initDesignWizard();
+        this.initObstructionList();
+        this.initPipeNetwork();
+        this.initIntegrity();
+        this.initProjectMode();
+        this.initSavedCalculations();
+        this.initProjectFiles();
+        this.initPriceListImport();
         
         // Real-time preview updates
-        ['room-length', 'room-width', 'room-height', 'room-temperature', 'hazard-class'].forEach(id => {
+        ['room-length', 'room-width', 'room-height', 'raised-floor-depth', 'ceiling-void-depth', 'room-temperature', 'altitude', 'hazard-class',
+         'altitude-factor', 'high-temp-factor', 'critical-area-factor', 'design-margin'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('input', () => this.updateQuickPreview());
             }
         });
 
+        const safetyFactorInput = document.getElementById('safety-factor');
+        if (safetyFactorInput) {
+            safetyFactorInput.addEventListener('change', () => this.applyDesignConcentration(true));
+        }
+
         this.updateQuickPreview();
         this.initAccordion();
         
@@ -204,11 +808,119 @@ class FM200Calculator {
         }
     }
 
+    initAgentSelector() {
+        const select = document.getElementById('agent-type');
+        if (!select) return;
+
+        select.innerHTML = Object.values(FM200Engine.AGENTS)
+            .map(agent => `<option value="${agent.id}">${agent.name}</option>`)
+            .join('');
+        select.value = FM200Engine.CONSTANTS.DEFAULT_AGENT;
+
+        select.addEventListener('change', () => {
+            this.applyAgentLimits();
+            this.populateFuelOptions();
+            this.applyDesignConcentration(true);
+        });
+
+        this.applyAgentLimits();
+    }
+
+    // Concentration limits follow the selected agent
+    applyAgentLimits() {
+        const agent = FM200Engine.getAgent(this.getFormValue('agent-type'));
+        const concentration = document.getElementById('hazard-class');
+        if (!agent || !concentration) return;
+
+        concentration.min = agent.minConcentration;
+        concentration.max = agent.maxConcentration;
+
+        this.setElementText('concentrationRange', `${agent.minConcentration.toFixed(1)}–${agent.maxConcentration.toFixed(1)}%`);
+        this.setElementText('displayAgentLabel', `${agent.shortName} Agent Mass`);
+    }
+
+    // ============================================================================
+    // DESIGN CONCENTRATION WIZARD
+    // ============================================================================
+
+    initDesignWizard() {
+        const hazardSelect = document.getElementById('hazard-type');
+        if (!hazardSelect) return;
+
+        hazardSelect.addEventListener('change', () => this.applyDesignConcentration(true));
+
+        const fuelSelect = document.getElementById('fuel-type');
+        if (fuelSelect) {
+            fuelSelect.addEventListener('change', () => this.applyDesignConcentration(true));
+        }
+
+        this.populateFuelOptions();
+        this.applyDesignConcentration(false);
+    }
+
+    // Only fuels with a cup-burner value for the selected agent are offered
+    populateFuelOptions() {
+        const select = document.getElementById('fuel-type');
+        const agent = FM200Engine.getAgent(this.getFormValue('agent-type'));
+        if (!select || !agent) return;
+
+        const current = select.value;
+        select.innerHTML = Object.entries(agent.extinguishing.fuels)
+            .map(([id, value]) => `<option value="${id}">${FM200Engine.FUELS[id]} (${value}%)</option>`)
+            .join('');
+
+        if (agent.extinguishing.fuels[current] !== undefined) {
+            select.value = current;
+        }
+    }
+
+    // Shows the derivation for the selected hazard; setValue copies the minimum into the concentration field
+    applyDesignConcentration(setValue) {
+        const hazardClass = this.getFormValue('hazard-type');
+        if (!hazardClass) return;
+
+        const fuelGroup = document.getElementById('fuelGroup');
+        if (fuelGroup) {
+            fuelGroup.style.display = hazardClass === 'B' ? 'block' : 'none';
+        }
+
+        try {
+            const derivation = FM200Engine.deriveDesignConcentration({
+                agent: this.getFormValue('agent-type'),
+                hazardClass: hazardClass,
+                fuel: this.getFormValue('fuel-type'),
+                expertFactors: this.collectExpertFactors()
+            });
+            const trace = derivation.steps.join(' → ');
+
+            if (derivation.withinAgentLimits) {
+                if (setValue) {
+                    this.setFormValue('hazard-class', derivation.minimumDesignConcentration);
+                }
+                this.setElementText('concentrationDerivation', trace);
+            } else {
+                this.setElementText('concentrationDerivation', `${trace} - exceeds the maximum for this agent, choose another agent.`);
+            }
+        } catch (error) {
+            this.setElementText('concentrationDerivation', error.message);
+        }
+
+        this.updateQuickPreview();
+    }
+
     resetForm() {
         const form = document.getElementById('fm200Form');
         if (form) {
             form.reset();
+            this.applyUnitSystem('metric');
             this.setDefaultValues();
+            this.setFormValue('agent-type', FM200Engine.CONSTANTS.DEFAULT_AGENT);
+            this.applyAgentLimits();
+            this.populateFuelOptions();
+            this.applyDesignConcentration(false);
+            this.clearObstructionRows();
+            this.clearPipeSegmentRows();
+            this.applyIntegrityMethod();
             this.updateQuickPreview();
             this.showNotification('Form reset to default values', 'success');
         }
@@ -216,31 +928,332 @@ class FM200Calculator {
 
     updateQuickPreview() {
         try {
-            const length = parseFloat(document.getElementById('room-length')?.value) || 10;
-            const width = parseFloat(document.getElementById('room-width')?.value) || 8;
-            const height = parseFloat(document.getElementById('room-height')?.value) || 3;
-            const temp = parseFloat(document.getElementById('room-temperature')?.value) || 20;
+            const length = this.getUnitValue('room-length') || 10;
+            const width = this.getUnitValue('room-width') || 8;
+            const height = this.getUnitValue('room-height') || 3;
+            // 0 °C (32 °F) is a valid design temperature, so only an empty field falls back
+            const enteredTemp = this.getUnitValue('room-temperature');
+            const temp = enteredTemp === null ? 20 : enteredTemp;
             const concentration = parseFloat(document.getElementById('hazard-class')?.value) || 7.5;
+            const altitude = this.getUnitValue('altitude') || 0;
+            const agentId = document.getElementById('agent-type')?.value;
 
-            const volume = length * width * height;
-            const specificVolume = APP_CONFIG.SPECIFIC_VAPOR_BASE + (APP_CONFIG.SPECIFIC_VAPOR_TEMP_FACTOR * temp);
-            const agentMass = (volume / specificVolume) * (concentration / (100 - concentration));
+            const voidDepth = (this.getUnitValue('raised-floor-depth') || 0) +
+                              (this.getUnitValue('ceiling-void-depth') || 0);
+            const obstructionVolume = FM200Engine.calculateObstructionVolume(this.collectObstructions()).totalVolume;
+            const volume = Math.max(0, length * width * (height + voidDepth) - obstructionVolume);
+            const specificVolume = FM200Engine.calculateSpecificVaporVolume(temp, agentId);
+            const expert = this.collectExpertFactors() || {};
+            const altitudeFactor = expert.altitudeFactor || FM200Engine.calculateAtmosphericCorrection(altitude);
+            const quantityFactor = altitudeFactor * (expert.highTempFactor || 1) * (expert.criticalAreaFactor || 1) *
+                                   (1 + (expert.designMargin || 0) / 100);
+            const agentMass = FM200Engine.calculateAgentWeight(volume, specificVolume, concentration, agentId) * quantityFactor;
 
-            this.setElementText('displayVolume', `${this.round(volume, 2)} m³`);
-            this.setElementText('displaySpecificVolume', `${this.round(specificVolume, 4)} m³/kg`);
+            this.setElementText('displayVolume', this.formatUnit(volume, 'volume', 2));
+            this.setElementText('displaySpecificVolume', this.formatUnit(specificVolume, 'specificVolume', 4));
             this.setElementText('displayConcentration', `${concentration}%`);
-            this.setElementText('displayAgentMass', `${this.round(agentMass, 2)} kg`);
+            this.setElementText('displayAgentMass', this.formatUnit(agentMass, 'weight', 2));
         } catch (error) {
             console.error('Error updating preview:', error);
         }
     }
 
-    initAccordion() {
-        const accordionHeaders = document.querySelectorAll('.accordion-header');
-        accordionHeaders.forEach(header => {
-            header.addEventListener('click', () => {
-                const item = header.parentElement;
-                const content = header.nextElementSibling;
+    // ============================================================================
+    // OBSTRUCTION LIST
+    // ============================================================================
+
+    initObstructionList() {
+        const addBtn = document.getElementById('addObstructionBtn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addObstructionRow());
+        }
+    }
+
+    addObstructionRow(obstruction = {}) {
+        const list = document.getElementById('obstructionList');
+        if (!list) return null;
+
+        const row = document.createElement('div');
+        row.className = 'obstruction-row';
+        row.innerHTML = `
+            <div class="form-group">
+                <label>Name</label>
+                <input type="text" class="obstruction-name" placeholder="Server Rack">
+            </div>
+            <div class="form-group">
+                <label>Length (<span class="unit-label" data-unit="length">${this.unitLabel('length')}</span>)</label>
+                <input type="number" class="obstruction-length" data-unit="length" step="0.01" min="0">
+            </div>
+            <div class="form-group">
+                <label>Width (<span class="unit-label" data-unit="length">${this.unitLabel('length')}</span>)</label>
+                <input type="number" class="obstruction-width" data-unit="length" step="0.01" min="0">
+            </div>
+            <div class="form-group">
+                <label>Height (<span class="unit-label" data-unit="length">${this.unitLabel('length')}</span>)</label>
+                <input type="number" class="obstruction-height" data-unit="length" step="0.01" min="0">
+            </div>
+            <div class="form-group">
+                <label>Qty</label>
+                <input type="number" class="obstruction-quantity" step="1" min="1" value="1">
+            </div>
+            <button type="button" class="btn-icon remove-obstruction" title="Remove obstruction"><i class="fas fa-trash"></i></button>
+        `;
+
+        row.querySelector('.obstruction-name').value = obstruction.name || '';
+        ['length', 'width', 'height', 'quantity'].forEach(field => {
+            if (obstruction[field] !== undefined) {
+                this.writeUnitInput(row.querySelector(`.obstruction-${field}`), obstruction[field]);
+            }
+        });
+
+        row.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => this.updateQuickPreview());
+        });
+        row.querySelector('.remove-obstruction').addEventListener('click', () => {
+            row.remove();
+            this.updateQuickPreview();
+        });
+
+        list.appendChild(row);
+        return row;
+    }
+
+    clearObstructionRows() {
+        const list = document.getElementById('obstructionList');
+        if (list) list.innerHTML = '';
+    }
+
+    collectObstructions() {
+        const rows = document.querySelectorAll('#obstructionList .obstruction-row');
+        const obstructions = [];
+
+        rows.forEach(row => {
+            const read = (field) => row.querySelector(`.obstruction-${field}`)?.value || '';
+            const dimensions = ['length', 'width', 'height'].map(field => this.readUnitInput(row.querySelector(`.obstruction-${field}`)));
+
+            // Skip rows the user added but left blank
+            if (dimensions.every(value => value === null)) return;
+
+            obstructions.push({
+                name: read('name').trim() || `Obstruction ${obstructions.length + 1}`,
+                length: dimensions[0] || 0,
+                width: dimensions[1] || 0,
+                height: dimensions[2] || 0,
+                quantity: read('quantity') === '' ? 1 : Number(read('quantity'))
+            });
+        });
+
+        return obstructions;
+    }
+
+    // ============================================================================
+    // ROOM INTEGRITY
+    // ============================================================================
+
+    initIntegrity() {
+        const methodSelect = document.getElementById('integrity-method');
+        if (!methodSelect) return;
+
+        methodSelect.addEventListener('change', () => this.applyIntegrityMethod());
+        this.applyIntegrityMethod();
+    }
+
+    // Only the inputs for the chosen leakage data are shown
+    applyIntegrityMethod() {
+        const method = this.getFormValue('integrity-method');
+        document.querySelectorAll('.integrity-ela').forEach(group => {
+            group.style.display = method === 'ela' ? 'block' : 'none';
+        });
+        document.querySelectorAll('.integrity-doorfan').forEach(group => {
+            group.style.display = method === 'doorfan' ? 'block' : 'none';
+        });
+    }
+
+    collectIntegrity() {
+        const method = this.getFormValue('integrity-method');
+        if (!method) return null;
+
+        const number = (id) => this.getUnitValue(id);
+        const lowerLeak = number('lower-leak-fraction');
+
+        return {
+            method,
+            ela: method === 'ela' ? number('leakage-area') : null,
+            testFlow: method === 'doorfan' ? number('doorfan-flow') : null,
+            testPressure: method === 'doorfan' ? number('doorfan-pressure') : null,
+            lowerLeakFraction: lowerLeak === null ? null : lowerLeak / 100,
+            protectedHeight: number('protected-height'),
+            minimumHoldTime: number('min-hold-time')
+        };
+    }
+
+    populateIntegrity(integrity) {
+        this.setFormValue('integrity-method', integrity ? integrity.method : '');
+        if (integrity) {
+            const fields = {
+                'leakage-area': integrity.ela,
+                'doorfan-flow': integrity.testFlow,
+                'doorfan-pressure': integrity.testPressure,
+                'lower-leak-fraction': integrity.lowerLeakFraction ? integrity.lowerLeakFraction * 100 : null,
+                'protected-height': integrity.protectedHeight,
+                'min-hold-time': integrity.minimumHoldTime
+            };
+            Object.entries(fields).forEach(([id, value]) => {
+                if (value !== undefined && value !== null) {
+                    this.setUnitValue(id, value);
+                }
+            });
+        }
+        this.applyIntegrityMethod();
+    }
+
+    // Venting is only assessed when an allowable wall pressure is given
+    collectVenting() {
+        const wallStrength = this.getUnitValue('wall-strength');
+        if (wallStrength === null) return null;
+
+        return {
+            wallStrength,
+            leakageArea: this.getUnitValue('existing-leakage')
+        };
+    }
+
+    populateVenting(venting) {
+        this.setUnitValue('wall-strength', venting ? venting.wallStrength : '');
+        this.setUnitValue('existing-leakage', venting ? venting.leakageArea : '');
+    }
+
+    // ============================================================================
+    // PIPE NETWORK
+    // ============================================================================
+
+    initPipeNetwork() {
+        this.pipeSegmentCounter = 0;
+        const addBtn = document.getElementById('addPipeSegmentBtn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addPipeSegmentRow());
+        }
+    }
+
+    addPipeSegmentRow(segment = {}) {
+        const list = document.getElementById('pipeNetworkList');
+        if (!list) return null;
+
+        // Ids stay stable when rows are removed so upstream references keep pointing at the same pipe
+        const id = segment.id || `S${this.pipeSegmentCounter + 1}`;
+        this.pipeSegmentCounter = Math.max(this.pipeSegmentCounter, parseInt(id.replace(/\D/g, ''), 10) || 0);
+
+        const sizeOptions = FM200Engine.PIPE_SIZES
+            .map(size => `<option value="${size.id}">${size.id} (${size.nominal})</option>`)
+            .join('');
+
+        const row = document.createElement('div');
+        row.className = 'pipe-segment-row';
+        row.dataset.segmentId = id;
+        row.innerHTML = `
+            <span class="pipe-segment-id">${this.escapeHtml(id)}</span>
+            <div class="form-group">
+                <label>Fed From</label>
+                <select class="pipe-upstream"></select>
+            </div>
+            <div class="form-group">
+                <label>Length (<span class="unit-label" data-unit="length">${this.unitLabel('length')}</span>)</label>
+                <input type="number" class="pipe-length" data-unit="length" step="0.1" min="0">
+            </div>
+            <div class="form-group">
+                <label>Rise (<span class="unit-label" data-unit="length">${this.unitLabel('length')}</span>)</label>
+                <input type="number" class="pipe-rise" data-unit="length" step="0.1" value="0">
+            </div>
+            <div class="form-group">
+                <label>Elbows</label>
+                <input type="number" class="pipe-elbows" step="1" min="0" value="0">
+            </div>
+            <div class="form-group">
+                <label>Tees</label>
+                <input type="number" class="pipe-tees" step="1" min="0" value="0">
+            </div>
+            <div class="form-group">
+                <label>Size</label>
+                <select class="pipe-size"><option value="">Auto</option>${sizeOptions}</select>
+            </div>
+            <label class="checkbox-group"><input type="checkbox" class="pipe-nozzle"> Nozzle</label>
+            <button type="button" class="btn-icon remove-pipe-segment" title="Remove segment"><i class="fas fa-trash"></i></button>
+        `;
+
+        ['length', 'rise', 'elbows', 'tees'].forEach(field => {
+            if (segment[field] !== undefined) {
+                this.writeUnitInput(row.querySelector(`.pipe-${field}`), segment[field]);
+            }
+        });
+        row.querySelector('.pipe-size').value = segment.size || '';
+        row.querySelector('.pipe-nozzle').checked = !!segment.nozzle;
+
+        row.querySelector('.remove-pipe-segment').addEventListener('click', () => {
+            row.remove();
+            this.refreshPipeUpstreamOptions();
+        });
+
+        list.appendChild(row);
+        this.refreshPipeUpstreamOptions();
+
+        // New rows continue from the previous segment by default
+        const previous = row.previousElementSibling;
+        const upstream = segment.id ? segment.upstream : (previous && previous.dataset.segmentId);
+        row.querySelector('.pipe-upstream').value = upstream || '';
+        return row;
+    }
+
+    // A segment can only be fed from the manifold or a segment listed above it
+    refreshPipeUpstreamOptions() {
+        const rows = Array.from(document.querySelectorAll('#pipeNetworkList .pipe-segment-row'));
+        rows.forEach((row, index) => {
+            const select = row.querySelector('.pipe-upstream');
+            const current = select.value;
+            const options = ['<option value="">Cylinder manifold</option>'].concat(
+                rows.slice(0, index).map(r => `<option value="${r.dataset.segmentId}">${r.dataset.segmentId}</option>`)
+            );
+            select.innerHTML = options.join('');
+            select.value = rows.slice(0, index).some(r => r.dataset.segmentId === current) ? current : '';
+        });
+    }
+
+    clearPipeSegmentRows() {
+        const list = document.getElementById('pipeNetworkList');
+        if (list) list.innerHTML = '';
+        this.pipeSegmentCounter = 0;
+    }
+
+    collectPipeNetwork() {
+        const rows = document.querySelectorAll('#pipeNetworkList .pipe-segment-row');
+        const network = [];
+
+        rows.forEach(row => {
+            const read = (field) => row.querySelector(`.pipe-${field}`)?.value || '';
+
+            // Skip rows the user added but left blank
+            if (read('length') === '') return;
+
+            network.push({
+                id: row.dataset.segmentId,
+                upstream: read('upstream') || null,
+                length: this.readUnitInput(row.querySelector('.pipe-length')) || 0,
+                rise: this.readUnitInput(row.querySelector('.pipe-rise')) || 0,
+                elbows: read('elbows') === '' ? 0 : Number(read('elbows')),
+                tees: read('tees') === '' ? 0 : Number(read('tees')),
+                size: read('size') || null,
+                nozzle: row.querySelector('.pipe-nozzle').checked
+            });
+        });
+
+        return network;
+    }
+
+    initAccordion() {
+        const accordionHeaders = document.querySelectorAll('.accordion-header');
+        accordionHeaders.forEach(header => {
+            header.addEventListener('click', () => {
+                const item = header.parentElement;
+                const content = header.nextElementSibling;
                 
                 item.classList.toggle('active');
                 
@@ -255,6 +1268,135 @@ class FM200Calculator {
         });
     }
 
+    collectFormData() {
+        const getValue = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.value : null;
+        };
+
+        const getNumber = (id, defaultValue = 0) => {
+            const value = this.getUnitValue(id);
+            return value !== null ? value : defaultValue;
+        };
+
+        const formData = {
+            projectName: getValue('project-name') || 'FM-200 Project',
+            clientLocation: getValue('location') || 'Not Specified',
+            roomName: getValue('room-name') || 'Room 1',
+            
+            roomLength: getNumber('room-length', 10),
+            roomWidth: getNumber('room-width', 8),
+            roomHeight: getNumber('room-height', 3),
+            raisedFloorDepth: getNumber('raised-floor-depth', 0),
+            ceilingVoidDepth: getNumber('ceiling-void-depth', 0),
+            
+            designTemperature: getNumber('room-temperature', 20),
+            altitude: getNumber('altitude', 0),
+            agent: getValue('agent-type') || FM200Engine.CONSTANTS.DEFAULT_AGENT,
+            hazardClass: getValue('hazard-type') || null,
+            fuel: getValue('hazard-type') === 'B' ? getValue('fuel-type') : null,
+            concentration: getNumber('hazard-class', 7.5),
+            maxTemperature: this.getUnitValue('max-temperature'),
+            occupancy: getValue('occupancy') || 'occupied',
+            egressTime: getValue('egress-time') ? parseFloat(getValue('egress-time')) : null,
+            cylinderStrategy: getValue('cylinder-strategy') || 'cost',
+            nozzleType: getValue('nozzle-type') || FM200Engine.CONSTANTS.DEFAULT_NOZZLE_TYPE,
+            detectionStandard: getValue('detection-standard') || FM200Engine.CONSTANTS.DEFAULT_DETECTION_STANDARD,
+            detectorType: getValue('detector-type') || 'smoke',
+            exitCount: getValue('exit-count') ? Number(getValue('exit-count')) : 1,
+            integrity: this.collectIntegrity(),
+            venting: this.collectVenting(),
+            expertFactors: this.collectExpertFactors(),
+            
+            obstructions: this.collectObstructions(),
+            pipeNetwork: this.collectPipeNetwork()
+        };
+
+        // Validation
+        const errors = FM200Engine.validateInput(formData);
+
+        if (errors.length > 0) {
+            this.showNotification(errors.join(', '), 'error');
+            return null;
+        }
+
+        return formData;
+    }
+
+    // Expert factors only apply while expert mode is on; blank fields keep the standard value
+    collectExpertFactors() {
+        if (!this.userPrefs.expertMode) return null;
+
+        const factors = {};
+        Object.entries(EXPERT_FACTOR_FIELDS).forEach(([key, id]) => {
+            const value = this.getFormValue(id);
+            factors[key] = value !== null && value !== '' ? parseFloat(value) : null;
+        });
+        return factors;
+    }
+
+    // Results, costs and metadata for one room; throws on invalid input
+    buildCompleteData(formData) {
+        const calculationResults = this.performNFPA2001Calculation(formData);
+        
+        // Calculate costs
+        const costResults = this.calculateSystemCosts(calculationResults);
+        
+        return {
+            formData: formData,
+            calculationResults: calculationResults,
+            costResults: costResults,
+            metadata: {
+                timestamp: new Date().toISOString(),
+                projectId: this.generateProjectId(),
+                version: APP_CONFIG.version,
+                priceList: { ...this.priceList }
+            }
+        };
+    }
+
+    handleFormSubmission() {
+        try {
+            const formData = this.collectFormData();
+            if (!formData) return;
+            
+            this.storeAndShowResults(this.buildCompleteData(formData));
+
+        } catch (error) {
+            console.error('Calculation Error:', error);
+            this.showNotification(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    // Save to sessionStorage AND localStorage for reliability
+    storeCalculationData(completeData) {
+        sessionStorage.setItem(APP_CONFIG.storageKeys.CALCULATION_DATA, JSON.stringify(completeData));
+        localStorage.setItem(APP_CONFIG.storageKeys.LAST_CALCULATION, JSON.stringify(completeData));
+    }
+
+    storeAndShowResults(completeData) {
+        this.storeCalculationData(completeData);
+        
+        this.showNotification('Calculation successful! Redirecting to results...', 'success');
+        
+        // Redirect to results page; the inputs ride along in the URL so it can be shared
+        setTimeout(() => {
+            window.location.href = `results.html#calc=${this.encodeCalculationLink(completeData)}`;
+        }, 1500);
+    }
+
+    // ============================================================================
+    // SAVED CALCULATIONS
+    // ============================================================================
+
+    initSavedCalculations() {
+        const search = document.getElementById('savedSearch');
+        if (search) {
+            search.addEventListener('input', () => this.renderSavedCalculations());
+        }
+        this.renderSavedCalculations();
+    }
+
     openSaveModal() {
         const modal = document.getElementById('saveModal');
         if (modal) {
@@ -283,105 +1425,777 @@ class FM200Calculator {
         }
     }
 
+    // Entries are { id, name, timestamp, data: completeData }; early saves held only the form data
+    loadSavedCalculations() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(APP_CONFIG.storageKeys.SAVED_CALCULATIONS) || '[]');
+            return saved.map((entry, index) => ({
+                ...entry,
+                id: entry.id || `saved-${index}-${entry.timestamp}`,
+                data: entry.data && entry.data.formData ? entry.data : { formData: entry.data || {} }
+            }));
+        } catch (e) {
+            console.warn('Error loading saved calculations:', e);
+            return [];
+        }
+    }
+
+    storeSavedCalculations(saved) {
+        try {
+            localStorage.setItem(APP_CONFIG.storageKeys.SAVED_CALCULATIONS, JSON.stringify(saved));
+            return true;
+        } catch (e) {
+            this.showNotification('Error saving calculation: ' + e.message, 'error');
+            return false;
+        }
+    }
+
+    // The form is calculated before saving so the entry keeps results and costs as well
     saveCalculation() {
         const saveName = document.getElementById('saveName')?.value || 'My Calculation';
         const formData = this.collectFormData();
-        
-        if (formData) {
-            try {
-                const savedCalculations = JSON.parse(localStorage.getItem('fm200SavedCalculations') || '[]');
-                savedCalculations.push({
-                    name: saveName,
-                    data: formData,
-                    timestamp: new Date().toISOString()
+        if (!formData) return;
+
+        let completeData;
+        try {
+            completeData = this.buildCompleteData(formData);
+        } catch (error) {
+            this.showNotification(`Not saved - ${error.message}`, 'error');
+            return;
+        }
+
+        const saved = this.loadSavedCalculations();
+        saved.push({
+            id: this.generateProjectId(),
+            name: saveName,
+            data: completeData,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.storeSavedCalculations(saved)) {
+            this.renderSavedCalculations();
+            this.showNotification('Calculation saved successfully!', 'success');
+        }
+    }
+
+    findSavedCalculation(id) {
+        return this.loadSavedCalculations().find(entry => entry.id === id) || null;
+    }
+
+    // Fills the form (and the project room list for a multi-room entry) from a saved calculation
+    loadSavedCalculation(id) {
+        const entry = this.findSavedCalculation(id);
+        if (!entry) return;
+
+        this.populateFromData(entry.data);
+        this.showNotification(`${entry.name} loaded into the form.`, 'info');
+    }
+
+    populateFromData(completeData) {
+        const { formData, project } = completeData;
+        this.populateForm(formData);
+        if (project) {
+            this.projectRooms = project.rooms.map(room => room.formData);
+            this.saveProjectRooms();
+            this.renderProjectRoomList();
+        }
+        this.updateQuickPreview();
+    }
+
+    // Shows the stored results without recalculating, so they match what was saved
+    openSavedResults(id) {
+        const entry = this.findSavedCalculation(id);
+        if (!entry) return;
+
+        if (!entry.data.calculationResults) {
+            this.showNotification(`${entry.name} was saved without results - load it and calculate again.`, 'warning');
+            return;
+        }
+
+        this.storeCalculationData(entry.data);
+        window.location.href = 'results.html';
+    }
+
+    compareSavedCalculation(id) {
+        const entry = this.findSavedCalculation(id);
+        if (!entry) return;
+
+        if (!entry.data.calculationResults) {
+            this.showNotification(`${entry.name} was saved without results - load it and calculate again.`, 'warning');
+            return;
+        }
+        if (this.addToComparison(entry.name, entry.data, `saved:${entry.id}`)) {
+            this.showNotification(`${entry.name} added to the comparison (${this.loadComparison().length} of ${APP_CONFIG.maxCompareScenarios}) - open the Compare page to view it.`, 'success');
+        }
+    }
+
+    renameSavedCalculation(id) {
+        const saved = this.loadSavedCalculations();
+        const entry = saved.find(e => e.id === id);
+        if (!entry) return;
+
+        const name = prompt('Rename saved calculation:', entry.name);
+        if (name === null || !name.trim()) return;
+
+        entry.name = name.trim();
+        if (this.storeSavedCalculations(saved)) this.renderSavedCalculations();
+    }
+
+    duplicateSavedCalculation(id) {
+        const saved = this.loadSavedCalculations();
+        const entry = saved.find(e => e.id === id);
+        if (!entry) return;
+
+        saved.push({
+            ...JSON.parse(JSON.stringify(entry)),
+            id: this.generateProjectId(),
+            name: `${entry.name} (copy)`,
+            timestamp: new Date().toISOString()
+        });
+        if (this.storeSavedCalculations(saved)) this.renderSavedCalculations();
+    }
+
+    deleteSavedCalculation(id) {
+        const saved = this.loadSavedCalculations();
+        const entry = saved.find(e => e.id === id);
+        if (!entry || !confirm(`Delete saved calculation "${entry.name}"?`)) return;
+
+        if (this.storeSavedCalculations(saved.filter(e => e.id !== id))) this.renderSavedCalculations();
+    }
+
+    // Newest first; the search matches the entry, project, room and location names
+    renderSavedCalculations() {
+        const list = document.getElementById('savedCalculationList');
+        if (!list) return;
+
+        const saved = this.loadSavedCalculations();
+        this.setElementText('savedCount', saved.length);
+
+        const query = (this.getFormValue('savedSearch') || '').trim().toLowerCase();
+        const matches = saved
+            .filter(entry => {
+                const { formData } = entry.data;
+                return !query || [entry.name, formData.projectName, formData.roomName, formData.clientLocation]
+                    .some(text => text && String(text).toLowerCase().includes(query));
+            })
+            .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+        if (matches.length === 0) {
+            list.innerHTML = `<p class="form-hint">${saved.length === 0 ? 'No saved calculations yet. Use "Save" to keep the current design.' : 'No saved calculations match the search.'}</p>`;
+            return;
+        }
+
+        list.innerHTML = '';
+        matches.forEach(entry => {
+            const { formData, calculationResults, costResults, project } = entry.data;
+            const details = [
+                new Date(entry.timestamp).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }),
+                project ? `${project.rooms.length} rooms` : formData.roomName,
+                calculationResults ? `${this.getAgentName(calculationResults, true)} ${this.formatUnit(calculationResults.agentWeight, 'weight')}` : null,
+                costResults ? this.formatAmountIn(this.getCostTotal(costResults), costResults.currency || 'INR') : null
+            ].filter(Boolean);
+
+            const item = document.createElement('div');
+            item.className = 'project-room-item';
+            item.innerHTML = `
+                <div class="project-room-info">
+                    <strong>${this.escapeHtml(entry.name)}</strong>
+                    <span>${this.escapeHtml(details.join(' · '))}</span>
+                </div>
+                <div class="project-room-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-action="load"><i class="fas fa-upload"></i> Load</button>
+                    <button type="button" class="btn-icon" data-action="results" title="Open results"><i class="fas fa-chart-bar"></i></button>
+                    <button type="button" class="btn-icon" data-action="compare" title="Add to comparison"><i class="fas fa-code-compare"></i></button>
+                    <button type="button" class="btn-icon" data-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                    <button type="button" class="btn-icon" data-action="duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>
+                    <button type="button" class="btn-icon" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+
+            const actions = {
+                load: () => this.loadSavedCalculation(entry.id),
+                results: () => this.openSavedResults(entry.id),
+                compare: () => this.compareSavedCalculation(entry.id),
+                rename: () => this.renameSavedCalculation(entry.id),
+                duplicate: () => this.duplicateSavedCalculation(entry.id),
+                delete: () => this.deleteSavedCalculation(entry.id)
+            };
+            item.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', actions[button.dataset.action]);
+            });
+            list.appendChild(item);
+        });
+    }
+
+    // ============================================================================
+    // PROJECT FILES
+    // ============================================================================
+
+    initProjectFiles() {
+        const downloadBtn = document.getElementById('downloadProjectBtn');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadProjectFile());
+        }
+
+        const fileInput = document.getElementById('projectFile');
+        const openBtn = document.getElementById('openProjectBtn');
+        if (fileInput && openBtn) {
+            openBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) this.openProjectFile(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+    }
+
+    // The calculator page saves what is on the form (the project rooms when any are added); the results page saves the shown calculation
+    downloadProjectFile() {
+        let completeData = this.currentData;
+        if (this.page === 'calculator') {
+            completeData = this.calculateFromForm('Project file not saved');
+            if (!completeData) return;
+        }
+
+        if (!completeData) {
+            this.showNotification('No calculation to save. Please use the calculator first.', 'warning');
+            return;
+        }
+
+        const projectFile = this.createProjectFile(completeData);
+        const json = JSON.stringify(projectFile, null, 2);
+        const link = document.createElement('a');
+        link.setAttribute('href', 'data:application/json;charset=utf-8,' + encodeURIComponent(json));
+        link.setAttribute('download', `${(completeData.formData.projectName || 'FM200_Project').replace(/[^\w.-]+/g, '_')}${APP_CONFIG.projectFile.extension}`);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    // The engine's project file layout, stamped with this calculator's version
+    createProjectFile(completeData) {
+        const metadata = completeData.metadata || {};
+        return FM200Engine.createProjectFile(completeData, {
+            appVersion: APP_CONFIG.version,
+            projectId: metadata.projectId || this.generateProjectId()
+        });
+    }
+
+    // The calculation as the results and quotation pages store it. Only the inputs are read from the file:
+    // results are recalculated with the current engine and price list, missing inputs take the form defaults
+    readProjectFile(projectFile) {
+        const { inputs, quotation } = projectFile;
+        if (!inputs || !inputs.formData) {
+            throw new Error('the file has no inputs to recalculate');
+        }
+
+        const formData = { ...INPUT_DEFAULTS, ...inputs.formData };
+        const completeData = inputs.rooms && inputs.rooms.length > 0
+            ? this.buildProjectData(inputs.rooms.map(room => ({ ...INPUT_DEFAULTS, ...room })), Boolean(inputs.centralBank), formData)
+            : this.buildCompleteData(formData);
+        completeData.metadata.projectId = projectFile.projectId || completeData.metadata.projectId;
+        if (quotation) completeData.quotation = quotation;
+        return completeData;
+    }
+
+    // Schema check of a current-version file; returns error messages. Saved results are not checked
+    // because opening recalculates them from the inputs
+    validateProjectFile(projectFile) {
+        if (!projectFile || typeof projectFile !== 'object' || Array.isArray(projectFile)) {
+            return ['Project file must be a JSON object'];
+        }
+        if (projectFile.format !== APP_CONFIG.projectFile.format) {
+            return [`Not an FM-200 project file (format must be "${APP_CONFIG.projectFile.format}")`];
+        }
+
+        const errors = [];
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (projectFile.fileVersion !== APP_CONFIG.projectFile.version) {
+            errors.push(`fileVersion must be ${APP_CONFIG.projectFile.version}`);
+        }
+        if (typeof projectFile.appVersion !== 'string' || !projectFile.appVersion) {
+            errors.push('appVersion must be a version string');
+        }
+        if (projectFile.priceList !== null && projectFile.priceList !== undefined) {
+            const { priceList } = projectFile;
+            if (!isObject(priceList) || typeof priceList.version !== 'string' || !/^[A-Z]{3}$/.test(priceList.currency)) {
+                errors.push('priceList must give a version and a 3-letter currency code');
+            }
+        }
+
+        const { inputs, quotation } = projectFile;
+        const checkInputs = (formData, label) => {
+            if (!this.isPlainFormData(formData)) {
+                errors.push(`${label}: values must be plain text or numbers`);
+            } else {
+                FM200Engine.validateInput(formData).forEach(error => errors.push(`${label}: ${error}`));
+            }
+        };
+        if (!isObject(inputs) || !isObject(inputs.formData)) {
+            errors.push('inputs.formData is missing');
+        } else {
+            checkInputs(inputs.formData, 'Inputs');
+            if (inputs.rooms !== null && inputs.rooms !== undefined) {
+                if (!Array.isArray(inputs.rooms) || inputs.rooms.length === 0) {
+                    errors.push('inputs.rooms must list at least one room');
+                } else {
+                    inputs.rooms.forEach((room, index) => checkInputs(room, `Room ${index + 1}`));
+                }
+            }
+        }
+
+        if (quotation !== null && quotation !== undefined) {
+            if (!isObject(quotation)) {
+                errors.push('quotation must be an object');
+            } else {
+                Object.entries(quotation).forEach(([key, value]) => {
+                    if (!QUOTATION_FIELDS.includes(key)) {
+                        errors.push(`Unknown quotation field ${key}`);
+                    } else if (typeof value !== 'string') {
+                        errors.push(`Quotation ${key} must be text`);
+                    }
                 });
-                
-                localStorage.setItem('fm200SavedCalculations', JSON.stringify(savedCalculations));
-                this.showNotification('Calculation saved successfully!', 'success');
-            } catch (e) {
-                this.showNotification('Error saving calculation: ' + e.message, 'error');
             }
         }
+
+        return errors;
     }
 
-    collectFormData() {
-        const getValue = (id) => {
-            const element = document.getElementById(id);
-            return element ? element.value : null;
+    // The opened calculation becomes the current one: the results page shows it, the calculator fills the form with it
+    openProjectFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let contents;
+            try {
+                contents = JSON.parse(reader.result);
+            } catch (e) {
+                this.showNotification(`${file.name} is not valid JSON.`, 'error');
+                return;
+            }
+
+            let migration;
+            try {
+                migration = FM200Engine.migrateProjectFile(contents, APP_CONFIG.version);
+            } catch (error) {
+                this.showNotification(`Project file not opened: ${error.message}`, 'error');
+                return;
+            }
+
+            const errors = this.validateProjectFile(migration.projectFile);
+            if (errors.length > 0) {
+                const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+                this.showNotification(`Project file not opened: ${errors.slice(0, 3).join('; ')}${more}`, 'error');
+                return;
+            }
+
+            try {
+                this.currentData = this.readProjectFile(migration.projectFile);
+            } catch (error) {
+                this.showNotification(`Project file not opened: ${error.message}`, 'error');
+                return;
+            }
+            this.storeCalculationData(this.currentData);
+            if (this.page === 'results') {
+                this.renderResultsPage();
+                this.showCalculationLink();
+            } else {
+                this.populateFromData(this.currentData);
+            }
+
+            const savedPriceList = migration.projectFile.priceList;
+            const migrated = migration.migratedFrom
+                ? ` Migrated from a version ${migration.migratedFrom} save - results recalculated with the current engine and price list ${this.priceList.version}.`
+                : savedPriceList && savedPriceList.version !== this.priceList.version
+                    ? ` Costs recalculated with price list ${this.priceList.version} (saved with ${savedPriceList.version}).`
+                    : '';
+            this.showNotification(`${file.name} opened.${migrated}`, migration.migratedFrom ? 'warning' : 'success');
         };
+        reader.readAsText(file);
+    }
 
-        const getNumber = (id, defaultValue = 0) => {
-            const value = getValue(id);
-            return value ? parseFloat(value) : defaultValue;
+    // ============================================================================
+    // SHAREABLE LINKS
+    // ============================================================================
+
+    // The project rooms when any are added, otherwise the form; null (after a notification) when it does not calculate
+    calculateFromForm(failureMessage) {
+        try {
+            if (this.projectRooms.length > 0) {
+                return this.buildProjectData(this.projectRooms, this.isCentralBankRequested(), {
+                    projectName: this.getFormValue('project-name'),
+                    clientLocation: this.getFormValue('location')
+                });
+            }
+            const formData = this.collectFormData();
+            return formData ? this.buildCompleteData(formData) : null;
+        } catch (error) {
+            this.showNotification(`${failureMessage} - ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    // A link carries only the inputs; { formData } for one room, { rooms, centralBank, projectName, clientLocation } for a project
+    getCalculationInputs(completeData) {
+        const { formData, project } = completeData;
+        if (!project) return { formData };
+        return {
+            rooms: project.rooms.map(room => room.formData),
+            centralBank: project.centralBank,
+            projectName: formData.projectName,
+            clientLocation: formData.clientLocation
         };
+    }
 
-        const formData = {
-            projectName: getValue('project-name') || 'FM-200 Project',
-            clientLocation: getValue('location') || 'Not Specified',
-            
-            roomLength: getNumber('room-length', 10),
-            roomWidth: getNumber('room-width', 8),
-            roomHeight: getNumber('room-height', 3),
-            
-            designTemperature: getNumber('room-temperature', 20),
-            altitude: getNumber('altitude', 0),
-            concentration: getNumber('hazard-class', 7.5)
+    // Base64url JSON without blank values or form defaults, so the link survives email and chat apps
+    encodeCalculationLink(completeData) {
+        const compact = (formData) => {
+            const values = { ...formData };
+            Object.keys(INPUT_DEFAULTS).forEach(key => {
+                if (values[key] === INPUT_DEFAULTS[key]) delete values[key];
+            });
+            return values;
         };
+        const inputs = this.getCalculationInputs(completeData);
+        if (inputs.formData) inputs.formData = compact(inputs.formData);
+        if (inputs.rooms) inputs.rooms = inputs.rooms.map(compact);
 
-        // Validation
-        const errors = [];
-        
-        if (formData.roomLength <= 0 || formData.roomWidth <= 0 || formData.roomHeight <= 0) {
-            errors.push('Room dimensions must be greater than zero');
+        const json = JSON.stringify(inputs, (key, value) =>
+            value === null || value === '' || (Array.isArray(value) && value.length === 0) ? undefined : value);
+        let binary = '';
+        new TextEncoder().encode(json).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodeCalculationLink(link) {
+        let inputs;
+        try {
+            const binary = atob(link.replace(/-/g, '+').replace(/_/g, '/'));
+            inputs = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        } catch (e) {
+            throw new Error('the link is incomplete or damaged');
         }
-        
-        if (formData.concentration < 7.0 || formData.concentration > 10.5) {
-            errors.push('Concentration must be between 7.0% and 10.5%');
+
+        if (!inputs || typeof inputs !== 'object') {
+            throw new Error('the link has no room inputs');
         }
 
-        if (errors.length > 0) {
-            this.showNotification(errors.join(', '), 'error');
-            return null;
+        const { formData, rooms, centralBank, ...names } = inputs;
+        if (!this.isPlainFormData(names) || (formData !== undefined && !this.isPlainFormData(formData)) ||
+            (rooms !== undefined && !(Array.isArray(rooms) && rooms.every(room => this.isPlainFormData(room))))) {
+            throw new Error('the link holds values that are not plain text or numbers');
         }
 
-        return formData;
+        if (Array.isArray(inputs.rooms) && inputs.rooms.length > 0) {
+            return { ...inputs, rooms: inputs.rooms.map(room => ({ ...INPUT_DEFAULTS, ...room })) };
+        }
+        if (inputs.formData && typeof inputs.formData === 'object') {
+            return { formData: { ...INPUT_DEFAULTS, ...inputs.formData } };
+        }
+        throw new Error('the link has no room inputs');
     }
 
-    handleFormSubmission() {
+    // Inputs end up on the pages, so links and project files may only hold plain text and numbers;
+    // the structured inputs (integrity, obstructions, ...) hold the same one level down
+    isPlainFormData(formData) {
+        const isScalar = (value) => value === null || typeof value === 'string' || (typeof value === 'number' && isFinite(value));
+        const isPlainValue = (value) => isScalar(value) ||
+            (value !== null && typeof value === 'object' && Object.values(value).every(isPlainValue));
+        return formData !== null && typeof formData === 'object' && !Array.isArray(formData) &&
+            Object.entries(formData).every(([key, value]) => STRUCTURED_INPUTS.includes(key) ? isPlainValue(value) : isScalar(value));
+    }
+
+    getCalculationLink() {
+        const match = window.location.hash.match(/[#&]calc=([\w-]+)/);
+        return match ? match[1] : null;
+    }
+
+    getShareableURL(completeData) {
+        return new URL(`results.html#calc=${this.encodeCalculationLink(completeData)}`, window.location.href).href;
+    }
+
+    // Recalculated with the current price list; the result is stored like a calculator run
+    loadCalculationLink(link) {
         try {
-            const formData = this.collectFormData();
-            if (!formData) return;
-            
-            const calculationResults = this.performNFPA2001Calculation(formData);
-            
-            // Calculate costs
-            const costResults = this.calculateSystemCosts(calculationResults);
-            
-            const completeData = {
-                formData: formData,
-                calculationResults: calculationResults,
-                costResults: costResults,
-                metadata: {
-                    timestamp: new Date().toISOString(),
-                    projectId: this.generateProjectId(),
-                    version: APP_CONFIG.version
+            const inputs = this.decodeCalculationLink(link);
+            this.currentData = inputs.rooms
+                ? this.buildProjectData(inputs.rooms, Boolean(inputs.centralBank), inputs)
+                : this.buildCompleteData(inputs.formData);
+        } catch (error) {
+            console.error('Shared link error:', error);
+            this.showNotification(`The shared link could not be opened: ${error.message}`, 'error');
+            this.showNoDataMessage();
+            return;
+        }
+
+        this.storeCalculationData(this.currentData);
+        this.renderResultsPage();
+        this.showCalculationLink();
+        this.showNotification('Calculation rebuilt from the shared link.', 'info');
+    }
+
+    // Keeps the address bar shareable while a calculation is shown
+    showCalculationLink() {
+        if (!this.currentData || !window.history.replaceState) return;
+        window.history.replaceState(null, '', `#calc=${this.encodeCalculationLink(this.currentData)}`);
+    }
+
+    copyCalculationLink() {
+        const completeData = this.calculateFromForm('Link not copied');
+        if (!completeData) return;
+
+        const url = this.getShareableURL(completeData);
+        navigator.clipboard.writeText(url).then(() => {
+            this.showNotification('Link copied - it opens the results with these inputs.', 'success');
+        }).catch(err => {
+            console.error('Copy failed:', err);
+            this.showNotification('Could not copy to clipboard. Please try again.', 'error');
+        });
+    }
+
+    // ============================================================================
+    // MULTI-ROOM PROJECT MODE
+    // ============================================================================
+
+    initProjectMode() {
+        this.projectRooms = this.loadProjectRooms();
+
+        const addRoomBtn = document.getElementById('addRoomBtn');
+        if (addRoomBtn) {
+            addRoomBtn.addEventListener('click', () => this.addRoomToProject());
+        }
+
+        const calculateProjectBtn = document.getElementById('calculateProjectBtn');
+        if (calculateProjectBtn) {
+            calculateProjectBtn.addEventListener('click', () => this.handleProjectSubmission());
+        }
+
+        const clearProjectBtn = document.getElementById('clearProjectBtn');
+        if (clearProjectBtn) {
+            clearProjectBtn.addEventListener('click', () => {
+                if (confirm('Remove all rooms from this project?')) {
+                    this.projectRooms = [];
+                    this.saveProjectRooms();
+                    this.renderProjectRoomList();
                 }
-            };
+            });
+        }
 
-            // Save to sessionStorage AND localStorage for reliability
-            sessionStorage.setItem(APP_CONFIG.storageKeys.CALCULATION_DATA, JSON.stringify(completeData));
-            localStorage.setItem('fm200_last_calculation', JSON.stringify(completeData));
-            
-            this.showNotification('Calculation successful! Redirecting to results...', 'success');
-            
-            // Redirect to results page
-            setTimeout(() => {
-                window.location.href = 'results.html';
-            }, 1500);
+        this.renderProjectRoomList();
+    }
+
+    loadProjectRooms() {
+        try {
+            return JSON.parse(localStorage.getItem(APP_CONFIG.storageKeys.PROJECT_ROOMS) || '[]');
+        } catch (e) {
+            console.warn('Error loading project rooms:', e);
+            return [];
+        }
+    }
+
+    saveProjectRooms() {
+        try {
+            localStorage.setItem(APP_CONFIG.storageKeys.PROJECT_ROOMS, JSON.stringify(this.projectRooms));
+        } catch (e) {
+            console.warn('Error saving project rooms:', e);
+        }
+    }
 
+    addRoomToProject() {
+        const formData = this.collectFormData();
+        if (!formData) return;
+
+        try {
+            // Surface room-level errors (e.g. obstructions) before the room joins the project
+            this.performNFPA2001Calculation(formData);
         } catch (error) {
-            console.error('Calculation Error:', error);
             this.showNotification(`Error: ${error.message}`, 'error');
+            return;
+        }
+
+        this.projectRooms.push(formData);
+        this.saveProjectRooms();
+        this.renderProjectRoomList();
+
+        this.setFormValue('room-name', `Room ${this.projectRooms.length + 1}`);
+        this.showNotification(`${formData.roomName} added to project (${this.projectRooms.length} rooms)`, 'success');
+    }
+
+    editProjectRoom(index) {
+        const room = this.projectRooms[index];
+        if (!room) return;
+
+        this.populateForm(room);
+        this.projectRooms.splice(index, 1);
+        this.saveProjectRooms();
+        this.renderProjectRoomList();
+        this.showNotification(`${room.roomName} loaded into the form. Add it to the project again after editing.`, 'info');
+    }
+
+    removeProjectRoom(index) {
+        this.projectRooms.splice(index, 1);
+        this.saveProjectRooms();
+        this.renderProjectRoomList();
+    }
+
+    renderProjectRoomList() {
+        const list = document.getElementById('projectRoomList');
+        if (!list) return;
+
+        this.setElementText('projectRoomCount', this.projectRooms.length);
+
+        if (this.projectRooms.length === 0) {
+            list.innerHTML = '<p class="form-hint">No rooms added yet. Fill in the form and click "Add Room to Project".</p>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.projectRooms.forEach((room, index) => {
+            const item = document.createElement('div');
+            item.className = 'project-room-item';
+            item.innerHTML = `
+                <div class="project-room-info">
+                    <strong>${this.escapeHtml(room.roomName)}</strong>
+                    <span>${this.displayValue(room.roomLength, 'length')} × ${this.displayValue(room.roomWidth, 'length')} × ${this.formatUnit(room.roomHeight, 'length')} · ${this.formatUnit(room.designTemperature, 'temperature')} · ${this.getAgentName(room.agent, true)} ${room.concentration}%</span>
+                </div>
+                <div class="project-room-actions">
+                    <button type="button" class="btn btn-secondary btn-small edit-room"><i class="fas fa-edit"></i> Edit</button>
+                    <button type="button" class="btn-icon remove-room" title="Remove room"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+            item.querySelector('.edit-room').addEventListener('click', () => this.editProjectRoom(index));
+            item.querySelector('.remove-room').addEventListener('click', () => this.removeProjectRoom(index));
+            list.appendChild(item);
+        });
+    }
+
+    handleProjectSubmission() {
+        if (this.projectRooms.length === 0) {
+            this.showNotification('Add at least one room to the project first.', 'warning');
+            return;
+        }
+
+        try {
+            const centralBank = this.isCentralBankRequested();
+            const completeData = this.buildProjectData(this.projectRooms, centralBank, {
+                projectName: this.getFormValue('project-name'),
+                clientLocation: this.getFormValue('location')
+            });
+
+            if (centralBank && !completeData.project.centralBank) {
+                this.showNotification('A central cylinder bank needs at least two rooms - each room keeps its own cylinders.', 'warning');
+            }
+
+            this.storeAndShowResults(completeData);
+        } catch (error) {
+            console.error('Project Calculation Error:', error);
+            this.showNotification(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    isCentralBankRequested() {
+        return document.getElementById('centralBankToggle')?.checked || false;
+    }
+
+    // Results, costs and metadata for a multi-room project; details override the project name and location
+    buildProjectData(rooms, centralBank, details = {}) {
+        const { calculationResults, project } = FM200Engine.performProjectCalculation(rooms, { centralBank, ...this.getEngineOptions() });
+        const { costResults, roomCosts } = FM200Engine.calculateProjectCosts(project, this.costMultipliers, { currency: this.priceList.currency });
+
+        project.rooms.forEach((room, index) => {
+            room.costResults = roomCosts[index];
+        });
+
+        const governing = project.rooms.find(room => room.name === calculationResults.governingRoom);
+        return {
+            formData: {
+                ...governing.formData,
+                projectName: details.projectName || governing.formData.projectName,
+                clientLocation: details.clientLocation || governing.formData.clientLocation
+            },
+            calculationResults: calculationResults,
+            costResults: costResults,
+            project: project,
+            metadata: {
+                timestamp: new Date().toISOString(),
+                projectId: this.generateProjectId(),
+                version: APP_CONFIG.version,
+                priceList: { ...this.priceList }
+            }
+        };
+    }
+
+    populateForm(formData) {
+        const fields = {
+            'project-name': formData.projectName,
+            'location': formData.clientLocation,
+            'room-name': formData.roomName,
+            'room-length': formData.roomLength,
+            'room-width': formData.roomWidth,
+            'room-height': formData.roomHeight,
+            'raised-floor-depth': formData.raisedFloorDepth || 0,
+            'ceiling-void-depth': formData.ceilingVoidDepth || 0,
+            'room-temperature': formData.designTemperature,
+            'max-temperature': formData.maxTemperature,
+            'occupancy': formData.occupancy,
+            'egress-time': formData.egressTime,
+            'altitude': formData.altitude,
+            'agent-type': formData.agent || FM200Engine.CONSTANTS.DEFAULT_AGENT,
+            'hazard-type': formData.hazardClass,
+            'cylinder-strategy': formData.cylinderStrategy,
+            'nozzle-type': formData.nozzleType,
+            'detection-standard': formData.detectionStandard,
+            'detector-type': formData.detectorType,
+            'exit-count': formData.exitCount
+        };
+
+        // Saved form data is SI; unit-bearing fields are converted to the chosen system. A value the
+        // calculation did not have is cleared, so nothing is left over from the previous form
+        Object.entries(fields).forEach(([id, value]) => {
+            if (value !== undefined && value !== null) {
+                this.setUnitValue(id, value);
+            } else {
+                this.resetFormValue(id);
+            }
+        });
+
+        // Fuel options depend on the agent, and the saved concentration wins over the derived minimum
+        this.populateExpertFactors(formData.expertFactors);
+        this.applyAgentLimits();
+        this.populateFuelOptions();
+        if (formData.fuel) {
+            this.setFormValue('fuel-type', formData.fuel);
+        } else {
+            this.resetFormValue('fuel-type');
+        }
+        this.applyDesignConcentration(false);
+        this.setFormValue('hazard-class', formData.concentration);
+        this.clearObstructionRows();
+        (formData.obstructions || []).forEach(obstruction => this.addObstructionRow(obstruction));
+        this.clearPipeSegmentRows();
+        (formData.pipeNetwork || []).forEach(segment => this.addPipeSegmentRow(segment));
+        this.populateIntegrity(formData.integrity);
+        this.populateVenting(formData.venting);
+
+        this.updateQuickPreview();
+    }
+
+    // Saved expert factors switch expert mode on so the calculation can be reproduced
+    populateExpertFactors(expertFactors) {
+        Object.entries(EXPERT_FACTOR_FIELDS).forEach(([key, id]) => {
+            const value = expertFactors ? expertFactors[key] : null;
+            this.setFormValue(id, value === null || value === undefined ? '' : value);
+        });
+        if (!expertFactors) return;
+
+        if (!this.userPrefs.expertMode) {
+            this.userPrefs.expertMode = true;
+            const expertToggle = document.getElementById('expertModeToggle');
+            const expertPanel = document.getElementById('expertModePanel');
+            if (expertToggle) expertToggle.checked = true;
+            if (expertPanel) expertPanel.style.display = 'block';
+            this.savePreferences();
         }
     }
 
@@ -389,129 +2203,19 @@ class FM200Calculator {
     // CORE CALCULATION
     // ============================================================================
 
-    performNFPA2001Calculation(formData) {
-        const { roomLength, roomWidth, roomHeight, designTemperature, altitude, concentration } = formData;
-
-        // 1. Calculate volumes
-        const grossVolume = roomLength * roomWidth * roomHeight;
-        const netVolume = grossVolume;
-        
-        // 2. Calculate Specific Vapor Volume (S) per NFPA 2001
-        const specificVaporVolume = APP_CONFIG.SPECIFIC_VAPOR_BASE + 
-                                   (APP_CONFIG.SPECIFIC_VAPOR_TEMP_FACTOR * designTemperature);
-
-        // 3. Calculate Agent Weight using NFPA 2001 formula
-        let agentWeight = (netVolume / specificVaporVolume) * (concentration / (100 - concentration));
-
-        // 4. Apply altitude correction (if altitude > 500m)
-        if (altitude > 500) {
-            const altitudeFactor = 1 + ((altitude - 500) / 300) * 0.01;
-            agentWeight *= altitudeFactor;
-        }
-
-        // 5. Calculate cylinder count (assuming 54.4kg cylinders)
-        const cylinderSize = 54.4;
-        const cylinderCount = Math.ceil(agentWeight / cylinderSize);
-
-        // 6. Calculate number of nozzles
-        const floorArea = roomLength * roomWidth;
-        const nozzleCoverage = 50; // m² per nozzle
-        const nozzleCount = Math.max(2, Math.ceil(floorArea / nozzleCoverage));
-
-        // 7. Estimate piping length
-        const pipingLength = (roomLength + roomWidth) * 2 + (roomHeight * 2);
-
-        // 8. Return all calculation results
+    getEngineOptions() {
         return {
-            agentWeight: this.round(agentWeight, 2),
-            cylinderCount: cylinderCount,
-            nozzleCount: nozzleCount,
-            cylinderSize: cylinderSize,
-            
-            grossVolume: this.round(grossVolume, 2),
-            netVolume: this.round(netVolume, 2),
-            floorArea: this.round(floorArea, 2),
-            pipingLength: this.round(pipingLength, 2),
-            
-            specificVaporVolume: this.round(specificVaporVolume, 4),
-            concentration: concentration,
-            designTemperature: designTemperature,
-            altitude: altitude,
-            
-            calculationMethod: 'NFPA 2001 Standard Formula',
-            units: APP_CONFIG.units
+            costMultipliers: this.costMultipliers,
+            cylinderCatalogues: this.cylinderCatalogues
         };
     }
 
-    calculateSystemCosts(calculationResults) {
-        const m = this.costMultipliers;
-        
-        // Calculate all costs in INR
-        const agentCost = calculationResults.agentWeight * m.agentCostPerKg;
-        const cylinderCost = calculationResults.cylinderCount * m.cylinderCost;
-        const valveCost = calculationResults.cylinderCount * m.valveAssembly;
-        const mountingCost = calculationResults.cylinderCount * m.mountingHardware;
-        const nozzleCost = calculationResults.nozzleCount * m.nozzleCost;
-        const pipingCost = calculationResults.pipingLength * m.pipingCostPerMeter;
-        const fittingsCost = m.fittingsCost;
-        const detectionCost = m.detectionPanel;
-        const smokeDetectors = Math.max(2, Math.ceil(calculationResults.floorArea / 100)) * m.smokeDetector;
-        const heatDetectors = 2 * m.heatDetector;
-        const manualCallPoints = 2 * m.manualCallPoint;
-        const hooterStrobes = 4 * m.hooterStrobe;
-        const warningSigns = m.warningSigns;
-        
-        // Equipment Subtotal
-        const equipmentSubtotal = agentCost + cylinderCost + valveCost + mountingCost +
-                                 nozzleCost + pipingCost + fittingsCost +
-                                 detectionCost + smokeDetectors + heatDetectors +
-                                 manualCallPoints + hooterStrobes + warningSigns;
-
-        // Installation Labor
-        const installationHours = 40 + (calculationResults.cylinderCount * 4) + 
-                                 (calculationResults.nozzleCount * 2) + 
-                                 (calculationResults.pipingLength * 0.5);
-        const installationLabor = installationHours * m.installationLaborPerHour;
-
-        const laborSubtotal = installationLabor + m.engineeringDesign + m.commissioningTesting + m.documentation;
-        
-        // Apply Factors
-        const installationCost = equipmentSubtotal * (m.installationFactor - 1);
-        const engineeringCost = equipmentSubtotal * (m.engineeringFactor - 1);
-        const contingency = equipmentSubtotal * (m.contingencyFactor - 1);
-
-        const totalEquipmentAndLabor = equipmentSubtotal + installationLabor + m.engineeringDesign + m.commissioningTesting + m.documentation;
-        const totalINR = totalEquipmentAndLabor + installationCost + engineeringCost + contingency;
+    performNFPA2001Calculation(formData) {
+        return FM200Engine.performNFPA2001Calculation(formData, this.getEngineOptions());
+    }
 
-        return {
-            agentCost: this.round(agentCost, 2),
-            cylinderCost: this.round(cylinderCost, 2),
-            valveCost: this.round(valveCost, 2),
-            mountingCost: this.round(mountingCost, 2),
-            nozzleCost: this.round(nozzleCost, 2),
-            pipingCost: this.round(pipingCost, 2),
-            fittingsCost: this.round(fittingsCost, 2),
-            detectionCost: this.round(detectionCost, 2),
-            smokeDetectors: this.round(smokeDetectors, 2),
-            heatDetectors: this.round(heatDetectors, 2),
-            manualCallPoints: this.round(manualCallPoints, 2),
-            hooterStrobes: this.round(hooterStrobes, 2),
-            warningSigns: this.round(warningSigns, 2),
-            
-            installationLabor: this.round(installationLabor, 2),
-            engineeringDesign: this.round(m.engineeringDesign, 2),
-            commissioningTesting: this.round(m.commissioningTesting, 2),
-            documentation: this.round(m.documentation, 2),
-
-            equipmentSubtotal: this.round(equipmentSubtotal, 2),
-            laborSubtotal: this.round(laborSubtotal, 2),
-            installationFactorCost: this.round(installationCost, 2),
-            engineeringFactorCost: this.round(engineeringCost, 2),
-            contingency: this.round(contingency, 2),
-            
-            totalINR: this.round(totalINR, 2),
-            currency: 'INR'
-        };
+    calculateSystemCosts(calculationResults) {
+        return FM200Engine.calculateSystemCosts(calculationResults, this.costMultipliers, { currency: this.priceList.currency });
     }
 
     // ============================================================================
@@ -527,18 +2231,27 @@ class FM200Calculator {
         console.log('Results Page Initialized');
     }
 
+    // Storage first; a shared link (#calc=...) is recalculated when storage is empty or holds another calculation.
+    // Resolves once the calculation is shown.
     loadCalculationData() {
+        const link = this.getCalculationLink();
         try {
             // Try multiple storage locations for reliability
             let dataJson = sessionStorage.getItem(APP_CONFIG.storageKeys.CALCULATION_DATA) ||
-                          localStorage.getItem('fm200_last_calculation');
+                          localStorage.getItem(APP_CONFIG.storageKeys.LAST_CALCULATION);
+            const stored = dataJson ? JSON.parse(dataJson) : null;
             
-            if (dataJson) {
-                this.currentData = JSON.parse(dataJson);
+            if (link && !(stored && this.encodeCalculationLink(stored) === link)) {
+                return this.priceListLoaded.then(() => this.loadCalculationLink(link));
+            }
+
+            if (stored) {
+                this.currentData = stored;
                 console.log('Calculation data loaded:', this.currentData);
                 
                 // Render the results
                 this.renderResultsPage();
+                this.showCalculationLink();
             } else {
                 this.showNotification('No calculation data found. Please use the calculator first.', 'warning');
                 // Show helpful message on page
@@ -549,6 +2262,7 @@ class FM200Calculator {
             this.showNotification('Error loading calculation data. Please recalculate.', 'error');
             this.showNoDataMessage();
         }
+        return Promise.resolve();
     }
 
     showNoDataMessage() {
@@ -576,16 +2290,50 @@ class FM200Calculator {
         
         // Update summary information
         this.setElementText('displayProjectName', formData.projectName);
-        this.setElementText('agentMassResult', `${calculationResults.agentWeight} kg`);
-        this.setElementText('cylinderCountResult', `${calculationResults.cylinderCount} x ${calculationResults.cylinderSize} kg cylinders`);
-        this.setElementText('roomVolumeResult', `${calculationResults.netVolume} m³`);
-        this.setElementText('designTempResult', `${calculationResults.designTemperature} °C`);
-        this.setElementText('altitudeResult', `${calculationResults.altitude} m`);
+        this.setElementText('agentMassLabel', `Required ${this.getAgentName(calculationResults)} Mass (W)`);
+        this.setElementText('agentMassResult', this.formatUnit(calculationResults.agentWeight, 'weight'));
+        this.setElementText('cylinderCountResult', `${this.describeCylinders(calculationResults)} cylinders`);
+        this.setElementText('roomVolumeResult', this.formatUnit(calculationResults.netVolume, 'volume'));
+        this.setElementText('designTempResult', this.formatUnit(calculationResults.designTemperature, 'temperature'));
+        this.setElementText('altitudeResult', `${this.formatUnit(calculationResults.altitude, 'length')} (correction ×${calculationResults.altitudeFactor})`);
         this.setElementText('concentrationResult', `${calculationResults.concentration}%`);
-        this.setElementText('specificVolumeResult', `${calculationResults.specificVaporVolume} m³/kg`);
-        this.setElementText('nozzleCoverageResult', `${calculationResults.floorArea} m²`);
+        this.setElementText('specificVolumeResult', this.formatUnit(calculationResults.specificVaporVolume, 'specificVolume'));
+        this.setElementText('nozzleCoverageResult', this.formatUnit(calculationResults.floorArea, 'area'));
         this.setElementText('nozzleCountResult', calculationResults.nozzleCount);
-        this.setElementText('pipingLengthResult', `${calculationResults.pipingLength} m`);
+        this.setElementText('pipingLengthResult', this.formatUnit(calculationResults.pipingLength, 'length'));
+        
+        // Generate project room summary (multi-room projects only)
+        this.renderProjectSummary();
+        
+        // Generate design concentration derivation (hazard class / fuel)
+        this.renderConcentrationTrace();
+        
+        // Generate correction factors (table values and expert overrides)
+        this.renderCorrections();
+        
+        // Generate enclosure hold time estimate
+        this.renderIntegrity();
+        this.renderVenting();
+        
+        // Generate NOAEL/LOAEL safety check and warnings
+        this.renderSafetyCheck();
+        this.renderWarnings('resultWarnings', calculationResults.warnings);
+        
+        // Generate container selection with fill ratios
+        this.renderCylinderSelection();
+        
+        // Generate per-zone breakdown and volume deduction tables
+        this.renderZoneBreakdown();
+        this.renderVolumeDeductions();
+        
+        // Generate nozzle plan view for each room
+        this.renderNozzleLayout();
+        
+        // Generate detection circuits, alarm and release devices
+        this.renderDetection();
+        
+        // Generate pipe network hydraulics (only when a network was entered)
+        this.renderHydraulics();
         
         // Generate BOQ table
         this.renderBOQTable();
@@ -594,10 +2342,556 @@ class FM200Calculator {
         this.generateCylinderVisual();
     }
 
+    renderProjectSummary() {
+        const panel = document.getElementById('projectPanel');
+        if (!panel) return;
+        
+        const { project } = this.currentData;
+        if (!project) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        
+        const tableBody = document.querySelector('#projectRoomTable tbody');
+        if (tableBody) {
+            tableBody.innerHTML = project.rooms.map(room => `
+                <tr>
+                    <td>${this.escapeHtml(room.name)}</td>
+                    <td>${this.formatUnit(room.calculationResults.netVolume, 'volume')}</td>
+                    <td>${this.formatUnit(room.calculationResults.designTemperature, 'temperature')}</td>
+                    <td>${room.calculationResults.concentration}%</td>
+                    <td>${this.formatUnit(room.calculationResults.agentWeight, 'weight')}</td>
+                    <td>${room.calculationResults.cylinderCount}</td>
+                    <td>${room.calculationResults.nozzleCount}</td>
+                    <td>${this.formatCurrency(this.getCostTotal(room.costResults))}</td>
+                </tr>
+            `).join('');
+        }
+        
+        const costs = this.getCostResults();
+        this.setElementText('projectTotalCost', this.formatCurrency(this.getCostTotal(costs)));
+        
+        if (project.centralBank) {
+            const { bank } = project;
+            this.setElementText('projectBankSummary',
+                `Central cylinder bank: ${this.describeCylinders(bank)} cylinders (${this.formatUnit(bank.agentWeight, 'weight')}) sized for the largest hazard, ${bank.governingRoom}, ` +
+                `with ${bank.selectorValveCount} selector valves. Room totals above exclude the shared bank.`);
+        } else {
+            this.setElementText('projectBankSummary', `${project.roomCount} rooms, each with a dedicated cylinder bank.`);
+        }
+    }
+
+    // Accepts calculationResults or an agent id; results saved before the agent registry are FM-200
+    getAgentName(source, short = false) {
+        const agentId = typeof source === 'object' && source !== null ? source.agent : source;
+        const agent = FM200Engine.getAgent(agentId);
+        if (!agent) return 'FM-200';
+        const mixed = typeof source === 'object' && source.agentName && source.agentName.includes(' / ');
+        if (short) return mixed ? 'Combined' : agent.shortName;
+        return (typeof source === 'object' && source.agentName) || agent.name;
+    }
+
+    // Results saved before the cylinder catalogue only carry a single kg size
+    describeCylinders(calculationResults) {
+        return calculationResults.cylinderDescription ||
+            `${calculationResults.cylinderCount} x ${this.formatUnit(calculationResults.cylinderSize, 'weight')}`;
+    }
+
+    renderWarnings(containerId, warnings) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        if (!warnings || warnings.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.style.display = 'block';
+        container.innerHTML = warnings.map(warning => `
+            <div class="safety-warning ${warning.level}">
+                <i class="fas ${warning.level === 'danger' ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}"></i>
+                <span>${this.escapeHtml(warning.message)}</span>
+            </div>
+        `).join('');
+    }
+
+    renderSafetyCheck() {
+        const panel = document.getElementById('safetyPanel');
+        const safety = this.currentData.calculationResults.safety;
+        if (panel) {
+            panel.style.display = safety ? 'block' : 'none';
+        }
+        if (!safety) return;
+        
+        const statusText = { ok: 'Within NOAEL', caution: 'Caution', danger: 'Not permitted' };
+        
+        this.setElementText('safetyOccupancy', safety.occupancy === 'occupied' ? 'Normally occupied' : 'Normally unoccupied');
+        this.setElementText('safetyMaxTemperature', this.formatUnit(safety.maxTemperature, 'temperature'));
+        const where = [safety.room, safety.bankCharge ? `full bank of ${this.formatUnit(safety.bankCharge, 'weight', 2)}` : null].filter(Boolean);
+        this.setElementText('safetyMaxConcentration', `${safety.maxConcentration}%${where.length ? ` (${where.join(', ')})` : ''}`);
+        this.setElementText('safetyLimits', safety.noael === null
+            ? 'Not applicable'
+            : `${safety.noael}% / ${safety.loael === null ? 'n/a' : `${safety.loael}%`}`);
+        this.setElementText('safetyEgress', safety.egressTime === null
+            ? '--'
+            : `${safety.egressTime} min (limit ${safety.egressLimit} min above NOAEL)`);
+        this.setElementText('safetyStatus', statusText[safety.status]);
+    }
+
+    renderConcentrationTrace() {
+        const panel = document.getElementById('concentrationPanel');
+        if (!panel) return;
+        
+        const trace = this.currentData.calculationResults.concentrationTrace;
+        if (!trace) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        const list = document.getElementById('concentrationTraceList');
+        if (list) {
+            list.innerHTML = trace.steps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('');
+        }
+    }
+
+    renderCorrections() {
+        const tableBody = document.querySelector('#correctionsTable tbody');
+        if (!tableBody) return;
+        
+        const { corrections, quantityFactor, altitudeFactor } = this.currentData.calculationResults;
+        this.setElementText('quantityFactorResult', `×${quantityFactor || altitudeFactor}`);
+        
+        // Older saved calculations only recorded the atmospheric correction
+        const items = corrections || [{ name: 'Atmospheric correction factor', value: altitudeFactor, unit: '', source: 'NFPA 2001 table' }];
+        tableBody.innerHTML = items.map(item => `
+            <tr>
+                <td>${this.escapeHtml(item.name)}</td>
+                <td>${item.unit === '%' ? `${item.value}%` : `×${item.value}`}</td>
+                <td>${this.escapeHtml(item.source)}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderIntegrity() {
+        const panel = document.getElementById('integrityPanel');
+        if (!panel) return;
+        
+        const { formData, calculationResults, project } = this.currentData;
+        const rooms = (project
+            ? project.rooms.map(room => ({ name: room.name, integrity: room.calculationResults.integrity }))
+            : [{ name: formData.roomName || 'Room', integrity: calculationResults.integrity }]
+        ).filter(room => room.integrity);
+        
+        if (rooms.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        const tableBody = document.querySelector('#integrityTable tbody');
+        if (tableBody) {
+            tableBody.innerHTML = rooms.map(({ name, integrity }) => `
+                <tr>
+                    <td>${this.escapeHtml(name)}</td>
+                    <td>${this.describeIntegrity(integrity)}</td>
+                    <td>${this.formatUnit(integrity.effectiveArea, 'area')}</td>
+                    <td>${this.describeProtectedHeight(integrity)}</td>
+                    <td>${integrity.holdTime === null ? 'N/A' : `${integrity.holdTime} min`} (min ${integrity.minimumHoldTime} min)</td>
+                    <td>${integrity.pass ? 'Pass' : '<span class="fill-warning">Fail</span>'}</td>
+                </tr>
+            `).join('');
+        }
+        
+        // The derivation is shown for a single room; project rooms are summarised in the table
+        const list = document.getElementById('integritySteps');
+        if (list) {
+            list.innerHTML = rooms.length === 1
+                ? rooms[0].integrity.steps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')
+                : '';
+        }
+    }
+    
+    // The model works from the slab; with a raised floor the entered height sits above it
+    describeProtectedHeight(integrity) {
+        const height = this.formatUnit(integrity.protectedHeight, 'length');
+        const aboveFloor = integrity.protectedHeightAboveFloor;
+        return aboveFloor !== undefined && aboveFloor !== integrity.protectedHeight
+            ? `${height} from slab (${this.formatUnit(aboveFloor, 'length')} above raised floor)`
+            : height;
+    }
+    
+    describeIntegrity(integrity) {
+        return integrity.method === 'doorfan'
+            ? `Door fan ${this.formatUnit(integrity.testFlow, 'airflow')} @ ${this.formatUnit(integrity.testPressure, 'airPressure')} (ELA ${this.formatUnit(integrity.ela, 'area')})`
+            : `ELA ${this.formatUnit(integrity.ela, 'area')}`;
+    }
+
+    renderVenting() {
+        const panel = document.getElementById('ventingPanel');
+        if (!panel) return;
+        
+        const { formData, calculationResults, project } = this.currentData;
+        const rooms = (project
+            ? project.rooms.map(room => ({ name: room.name, venting: room.calculationResults.venting }))
+            : [{ name: formData.roomName || 'Room', venting: calculationResults.venting }]
+        ).filter(room => room.venting);
+        
+        if (rooms.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        const tableBody = document.querySelector('#ventingTable tbody');
+        if (tableBody) {
+            tableBody.innerHTML = rooms.map(({ name, venting }) => `
+                <tr>
+                    <td>${this.escapeHtml(name)}</td>
+                    <td>${this.formatUnit(venting.wallStrength, 'airPressure')}</td>
+                    <td>${this.formatUnit(venting.flow, 'ventFlow')} over ${venting.dischargeTime} s</td>
+                    <td>${this.formatUnit(venting.requiredArea, 'area')}</td>
+                    <td>${this.formatUnit(venting.leakageArea, 'area')}</td>
+                    <td>${this.formatUnit(venting.freeVentArea, 'area')}</td>
+                    <td>${this.describeVentDampers(venting)}</td>
+                </tr>
+            `).join('');
+        }
+        
+        const list = document.getElementById('ventingSteps');
+        if (list) {
+            list.innerHTML = rooms.length === 1
+                ? rooms[0].venting.steps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')
+                : '';
+        }
+        
+        const notes = [...new Set(rooms.map(room => room.venting.note).filter(Boolean))];
+        const note = document.getElementById('ventingNote');
+        if (note) {
+            note.textContent = notes.join(' ');
+            note.style.display = notes.length > 0 ? 'block' : 'none';
+        }
+    }
+    
+    describeVentDampers(venting) {
+        return venting.ventCount > 0
+            ? `${venting.ventCount} × ${venting.damper.label}`
+            : 'None (leakage sufficient)';
+    }
+
+    renderNozzleLayout() {
+        const panel = document.getElementById('nozzleLayoutPanel');
+        const container = document.getElementById('nozzleLayoutPlans');
+        if (!panel || !container) return;
+        
+        const { formData, calculationResults, project } = this.currentData;
+        const plans = project
+            ? project.rooms.map(room => ({ name: room.name, zones: room.calculationResults.zones || [], detection: room.calculationResults.detection }))
+            : [{ name: formData.roomName || 'Room', zones: calculationResults.zones || [], detection: calculationResults.detection }];
+        
+        // Calculations saved before the layout planner have no coordinates to draw
+        if (!plans.some(plan => plan.zones.some(zone => zone.nozzleLayout))) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        container.innerHTML = plans.filter(plan => plan.zones.some(zone => zone.nozzleLayout)).map((plan, planIndex) => {
+            const room = plan.zones.find(zone => zone.key === 'room') || plan.zones[0];
+            const layout = room.nozzleLayout;
+            const tiers = layout.tiers > 1 ? `, ${layout.tiers} tiers of ${this.formatUnit(layout.tierHeight, 'length')}` : '';
+            return `
+                <div class="nozzle-plan">
+                    <h4>${this.escapeHtml(plan.name)}</h4>
+                    <p>${layout.typeName} nozzles, ${layout.perTier} per tier${tiers}, spacing ${this.displayValue(layout.spacingX, 'length')} × ${this.formatUnit(layout.spacingY, 'length')} (throw radius ${this.formatUnit(layout.throwRadius, 'length')})</p>
+                    ${this.buildNozzlePlanSVG(plan.zones, planIndex, plan.detection)}
+                    <div class="nozzle-plan-legend">
+                        ${plan.zones.filter(zone => zone.nozzleLayout).map(zone => `<span style="--legend-color: ${this.getZoneColor(zone.key)}">${this.escapeHtml(zone.name)}: ${zone.nozzleCount}</span>`).join('')}
+                        ${plan.detection ? `<span class="detector-key" style="--legend-color: var(--gray)">Ceiling detectors (A filled, B outline)</span>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    getZoneColor(key) {
+        return { room: 'var(--primary)', raisedFloor: 'var(--secondary)', ceilingVoid: 'var(--tertiary)' }[key] || 'var(--warning)';
+    }
+    
+    // Footprint scaled into a fixed viewBox; void nozzles are drawn as rings so stacked positions stay visible
+    buildNozzlePlanSVG(zones, planIndex, detection) {
+        const layouts = zones.filter(zone => zone.nozzleLayout);
+        const { length, width, throwRadius, type } = layouts[0].nozzleLayout;
+        const margin = 30;
+        const scale = 500 / Math.max(length, width);
+        const w = length * scale;
+        const h = width * scale;
+        const px = (value) => this.round(margin + value * scale, 1);
+        const at = (p) => `(${this.displayValue(p.x, 'length')}, ${this.displayValue(p.y, 'length')})`;
+        
+        const room = layouts.find(zone => zone.key === 'room') || layouts[0];
+        const coverage = type === '360'
+            ? room.nozzleLayout.positions.filter(p => p.tier === 1).map(p =>
+                `<circle cx="${px(p.x)}" cy="${px(p.y)}" r="${this.round(throwRadius * scale, 1)}" fill="none" stroke="var(--gray)" stroke-dasharray="4 4" stroke-opacity="0.4"/>`).join('')
+            : '';
+        
+        const nozzles = layouts.map((zone, index) => {
+            const color = this.getZoneColor(zone.key);
+            return zone.nozzleLayout.positions.filter(p => p.tier === 1).map(p => index === 0
+                ? `<circle cx="${px(p.x)}" cy="${px(p.y)}" r="6" fill="${color}"><title>${this.escapeHtml(zone.name)} ${at(p)}</title></circle>`
+                : `<circle cx="${px(p.x)}" cy="${px(p.y)}" r="${6 + index * 4}" fill="none" stroke="${color}" stroke-width="2"><title>${this.escapeHtml(zone.name)} ${at(p)}</title></circle>`
+            ).join('');
+        }).join('');
+        
+        // Room-level detectors only; void detectors repeat the same grid below the floor or above the ceiling
+        const roomDetection = detection && detection.zones.find(zone => zone.key === 'room');
+        const detectors = roomDetection ? roomDetection.detectors.map(d => `
+            <rect x="${px(d.x) - 5}" y="${px(d.y) - 5}" width="10" height="10" fill="${d.circuit === 'A' ? 'var(--gray)' : 'none'}" stroke="var(--gray)" stroke-width="1.5"><title>${d.type} detector, circuit ${d.circuit} ${at(d)}</title></rect>`).join('') : '';
+        
+        return `
+            <svg viewBox="0 0 ${this.round(w + margin * 2, 1)} ${this.round(h + margin * 2, 1)}" role="img" aria-label="Nozzle plan view">
+                <defs><clipPath id="nozzlePlanClip${planIndex}"><rect x="${margin}" y="${margin}" width="${this.round(w, 1)}" height="${this.round(h, 1)}"/></clipPath></defs>
+                <rect x="${margin}" y="${margin}" width="${this.round(w, 1)}" height="${this.round(h, 1)}" fill="none" stroke="currentColor" stroke-width="2"/>
+                <g clip-path="url(#nozzlePlanClip${planIndex})">${coverage}</g>
+                ${detectors}
+                ${nozzles}
+                <text x="${this.round(margin + w / 2, 1)}" y="${margin - 10}" text-anchor="middle" font-size="12" fill="currentColor">${this.formatUnit(length, 'length')}</text>
+                <text x="${margin - 10}" y="${this.round(margin + h / 2, 1)}" text-anchor="middle" font-size="12" fill="currentColor" transform="rotate(-90 ${margin - 10} ${this.round(margin + h / 2, 1)})">${this.formatUnit(width, 'length')}</text>
+            </svg>
+        `;
+    }
+
+    renderDetection() {
+        const panel = document.getElementById('detectionPanel');
+        if (!panel) return;
+        
+        const { calculationResults, project } = this.currentData;
+        const rooms = project
+            ? project.rooms.map(room => ({ name: room.name, detection: room.calculationResults.detection }))
+            : [{ name: null, detection: calculationResults.detection }];
+        const designs = rooms.filter(room => room.detection);
+        if (designs.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        const sum = (field) => designs.reduce((total, room) => total + room.detection[field], 0);
+        this.setElementText('detectionStandard', [...new Set(designs.map(room => room.detection.standardName))].join(' / '));
+        this.setElementText('detectionCircuits', `${sum('circuitA')} / ${sum('circuitB')} detectors`);
+        this.setElementText('detectionSounders', `${sum('soundersInside')} inside + ${sum('soundersOutside')} outside`);
+        this.setElementText('detectionStations', `${sum('manualReleaseStations')} / ${sum('abortStations')}`);
+        
+        const tableBody = document.querySelector('#detectionTable tbody');
+        if (!tableBody) return;
+        
+        tableBody.innerHTML = designs.map(room => room.detection.zones.map(zone => `
+            <tr>
+                <td>${this.escapeHtml(room.name && zone.key === 'room' ? room.name : room.name ? `${room.name} - ${zone.name}` : zone.name)}</td>
+                <td>${this.formatUnit(zone.height, 'length')}</td>
+                <td>${Object.keys(zone.spacing).map(kind => kind === 'smoke' ? 'Smoke' : 'Heat').join(' + ')}</td>
+                <td>${Object.values(zone.spacing).map(spacing => this.formatUnit(spacing, 'length')).join(' / ')}</td>
+                <td>${zone.circuitA}</td>
+                <td>${zone.circuitB}</td>
+            </tr>
+        `).join('')).join('');
+    }
+
+    renderHydraulics() {
+        const panel = document.getElementById('hydraulicPanel');
+        if (!panel) return;
+        
+        const hydraulics = this.currentData.calculationResults.hydraulics;
+        if (!hydraulics) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        this.setElementText('hydraulicFlow', this.formatUnit(hydraulics.systemFlow, 'flow'));
+        this.setElementText('hydraulicPressure', `${this.displayValue(hydraulics.supplyPressure, 'pressure')} / ${this.formatUnit(hydraulics.minNozzlePressure, 'pressure')}`);
+        this.setElementText('hydraulicDischarge', hydraulics.estimatedDischargeTime === null
+            ? 'No discharge'
+            : `${hydraulics.estimatedDischargeTime} s (max ${hydraulics.maxDischargeTime} s)`);
+        this.setElementText('hydraulicImbalance', `${hydraulics.pressureImbalance}% (max ${hydraulics.maxPressureImbalance}%)`);
+        
+        const tableBody = document.querySelector('#hydraulicTable tbody');
+        if (!tableBody) return;
+        
+        tableBody.innerHTML = hydraulics.segments.map(segment => {
+            const nozzle = hydraulics.nozzles.find(n => n.segment === segment.id);
+            const orifice = !nozzle ? '--'
+                : nozzle.orificeDiameter === null ? '<span class="fill-warning">No pressure</span>'
+                : `Ø${this.formatUnit(nozzle.orificeDiameter, 'diameter')} (${this.formatUnit(nozzle.orificeArea, 'orificeArea')})`;
+            const outlet = segment.outletPressure < hydraulics.minNozzlePressure && segment.nozzle
+                ? `<span class="fill-warning">${this.formatUnit(segment.outletPressure, 'pressure')}</span>`
+                : this.formatUnit(segment.outletPressure, 'pressure');
+            return `
+                <tr>
+                    <td>${this.escapeHtml(segment.id)}</td>
+                    <td>${this.escapeHtml(segment.upstream || 'Manifold')}</td>
+                    <td>${segment.size} (${segment.nominal})${segment.autoSized ? '' : ' fixed'}</td>
+                    <td>${this.formatUnit(segment.flow, 'flow')}</td>
+                    <td>${this.formatUnit(segment.equivalentLength, 'length')}</td>
+                    <td>${this.formatUnit(segment.pressureDrop, 'pressure')}</td>
+                    <td>${outlet}</td>
+                    <td>${orifice}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderCylinderSelection() {
+        const tableBody = document.querySelector('#cylinderTable tbody');
+        if (!tableBody) return;
+        
+        const selection = this.currentData.calculationResults.cylinderSelection || [];
+        if (selection.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #666;">Container details not available for this calculation</td></tr>';
+            return;
+        }
+        
+        tableBody.innerHTML = selection.map(item => `
+            <tr>
+                <td>${this.escapeHtml(item.zone)}</td>
+                <td>${item.label || `${item.volume} L`} (${item.fullCharge ? `full charge ${this.formatUnit(item.maxFill, 'weight')}` : `${this.displayValue(item.minFill, 'weight')}–${this.formatUnit(item.maxFill, 'weight')}`})</td>
+                <td>${item.count}</td>
+                <td>${this.formatUnit(item.fillPerContainer, 'weight')}</td>
+                <td>${this.formatUnit(item.fillDensity, 'fillDensity')}</td>
+                <td>${item.fillRatio}%</td>
+                <td>${item.withinLimits ? 'Within limits' : '<span class="fill-warning">Below minimum fill</span>'}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderZoneBreakdown() {
+        const tableBody = document.querySelector('#zoneTable tbody');
+        if (!tableBody) return;
+        
+        const { formData, calculationResults } = this.currentData;
+        
+        // Calculations saved before zones were introduced cover the room only
+        const zones = calculationResults.zones || [{
+            name: 'Room',
+            height: formData.roomHeight,
+            netVolume: calculationResults.netVolume,
+            agentWeight: calculationResults.agentWeight,
+            cylinderCount: calculationResults.cylinderCount,
+            nozzleCount: calculationResults.nozzleCount
+        }];
+        
+        tableBody.innerHTML = zones.map(zone => `
+            <tr>
+                <td>${this.escapeHtml(zone.name)}</td>
+                <td>${this.formatUnit(zone.height, 'length')}</td>
+                <td>${this.formatUnit(zone.netVolume, 'volume')}</td>
+                <td>${this.formatUnit(zone.agentWeight, 'weight')}</td>
+                <td>${zone.cylinderCount}</td>
+                <td>${zone.nozzleCount}</td>
+            </tr>
+        `).join('');
+        
+        this.setElementText('zoneTotalVolume', this.formatUnit(calculationResults.netVolume, 'volume'));
+        this.setElementText('zoneTotalAgent', this.formatUnit(calculationResults.agentWeight, 'weight'));
+        this.setElementText('zoneTotalCylinders', calculationResults.cylinderCount);
+        this.setElementText('zoneTotalNozzles', calculationResults.nozzleCount);
+    }
+
+    renderVolumeDeductions() {
+        const tableBody = document.querySelector('#deductionTable tbody');
+        if (!tableBody) return;
+        
+        const { calculationResults } = this.currentData;
+        const obstructions = calculationResults.obstructions || [];
+        const grossVolume = calculationResults.grossVolume ?? calculationResults.netVolume;
+        
+        if (obstructions.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" style="text-align: center; color: var(--gray);">No obstructions deducted - net volume equals gross room volume</td>
+                </tr>
+            `;
+        } else {
+            tableBody.innerHTML = obstructions.map(item => `
+                <tr>
+                    <td>${this.escapeHtml(item.name)}</td>
+                    <td>${this.displayValue(item.length, 'length')} × ${this.displayValue(item.width, 'length')} × ${this.formatUnit(item.height, 'length')}</td>
+                    <td>${this.formatUnit(item.unitVolume, 'volume')}</td>
+                    <td>${item.quantity}</td>
+                    <td>${this.formatUnit(item.volume, 'volume')}</td>
+                </tr>
+            `).join('');
+        }
+        
+        this.setElementText('grossVolumeResult', this.formatUnit(grossVolume, 'volume'));
+        this.setElementText('obstructionVolumeResult', `- ${this.formatUnit(calculationResults.obstructionVolume || 0, 'volume')}`);
+        this.setElementText('netVolumeResult', this.formatUnit(calculationResults.netVolume, 'volume'));
+    }
+
+    // Costs stored with the calculation; older saved data without a BOQ model is re-priced
+    getCostResults() {
+        if (!this.currentData) return null;
+
+        let { costResults } = this.currentData;
+        if (!costResults || !costResults.boq) {
+            costResults = this.calculateSystemCosts(this.currentData.calculationResults);
+            this.currentData.costResults = costResults;
+            this.currentData.metadata = { ...this.currentData.metadata, priceList: { ...this.priceList } };
+        }
+        return costResults;
+    }
+
+    // BOQ lines are priced per SI unit; kg and m lines are restated per lb / ft with the same total
+    displayBOQLine(item) {
+        const quantity = { kg: 'weight', m: 'length' }[item.unit];
+        if (!quantity || this.getUnitSystem() !== 'imperial') return item;
+        return {
+            ...item,
+            quantity: this.displayValue(item.quantity, quantity),
+            unit: this.unitLabel(quantity),
+            unitPrice: item.unitPrice / FM200Engine.UNIT_CONVERSIONS[quantity].factor
+        };
+    }
+
+    // Tax is added after contingency and the other adjustments, one row per tax component and rate
+    getBOQSummaryRows(boq, tax = this.getTaxSummary(boq)) {
+        const rows = [
+            { label: 'SUBTOTAL (Equipment & Materials)', value: boq.equipmentSubtotal },
+            { label: 'SUBTOTAL (Labour & Services)', value: boq.laborSubtotal },
+            ...boq.adjustments.map(a => ({ label: a.description, value: a.total }))
+        ];
+        if (!tax || !tax.tax) {
+            return rows.concat({ label: 'GRAND TOTAL ESTIMATE', value: boq.grandTotal, isGrandTotal: true });
+        }
+        return rows.concat(
+            { label: `TOTAL BEFORE ${tax.tax}`, value: boq.grandTotal },
+            ...tax.components.map(c => ({ label: c.label, value: c.amount })),
+            { label: `GRAND TOTAL ESTIMATE (INCL. ${tax.tax})`, value: tax.totalWithTax, isGrandTotal: true }
+        );
+    }
+
+    getBOQSummaryText() {
+        const { boq } = this.getCostResults();
+        const exchangeRate = this.describeExchangeRate();
+        const tax = this.getTaxSummary(boq);
+        return this.getBOQSummaryRows(boq, tax)
+            .map(row => `- ${row.label}: ${this.formatCurrency(row.value)}`)
+            .concat(exchangeRate ? [`- Exchange rate: ${exchangeRate}`] : [])
+            .concat([`- Tax: ${this.describeTax(tax)}`])
+            .join('\n');
+    }
+
     renderBOQTable() {
         if (!this.currentData) return;
         
-        const { calculationResults, costResults } = this.currentData;
+        const { boq } = this.getCostResults();
+        const priceList = this.describePriceList((this.currentData.metadata || {}).priceList);
+        this.setElementText('resultsPriceList', priceList ? `${priceList}.` : '');
+        const tax = this.getTaxSummary(boq);
+        this.setElementText('resultsTaxNote', this.describeTax(tax));
         const boqBody = document.querySelector('#boqTable tbody');
         
         if (!boqBody) return;
@@ -605,99 +2899,43 @@ class FM200Calculator {
         // Clear existing content
         boqBody.innerHTML = '';
         
-        // Add BOQ items
-        const items = [
-            { 
-                description: 'FM-200 Clean Agent', 
-                quantity: calculationResults.agentWeight, 
-                unit: 'kg', 
-                unitPrice: 4000,
-                total: calculationResults.agentWeight * 4000 
-            },
-            { 
-                description: 'Storage Cylinders (54.4 kg)', 
-                quantity: calculationResults.cylinderCount, 
-                unit: 'nos', 
-                unitPrice: 90000,
-                total: calculationResults.cylinderCount * 90000 
-            },
-            { 
-                description: 'Valve Assemblies', 
-                quantity: calculationResults.cylinderCount, 
-                unit: 'nos', 
-                unitPrice: 25000,
-                total: calculationResults.cylinderCount * 25000 
-            },
-            { 
-                description: 'Nozzles (Standard Coverage)', 
-                quantity: calculationResults.nozzleCount, 
-                unit: 'nos', 
-                unitPrice: 8000,
-                total: calculationResults.nozzleCount * 8000 
-            },
-            { 
-                description: 'Piping System (Sch 40)', 
-                quantity: calculationResults.pipingLength, 
-                unit: 'm', 
-                unitPrice: 1200,
-                total: calculationResults.pipingLength * 1200 
-            }
-        ];
-        
-        let subtotal = 0;
-        
-        items.forEach(item => {
-            subtotal += item.total;
+        // Groups are the equipment/labour sections, or one group per room in a project
+        boq.groups.forEach(group => {
+            const sectionRow = document.createElement('tr');
+            sectionRow.className = 'boq-section-row';
+            sectionRow.innerHTML = `<td colspan="4"><strong>${this.escapeHtml(group.title)}</strong></td>`;
+            boqBody.appendChild(sectionRow);
             
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${item.description}</td>
-                <td>${item.quantity} ${item.unit}</td>
-                <td>${this.formatCurrency(item.unitPrice)}</td>
-                <td>${this.formatCurrency(item.total)}</td>
-            `;
-            boqBody.appendChild(row);
-        });
-        
-        // Add additional items
-        const additionalItems = [
-            { description: 'Fittings & Accessories', quantity: 1, unit: 'lot', unitPrice: 15000, total: 15000 },
-            { description: 'Detection & Control Panel', quantity: 1, unit: 'nos', unitPrice: 120000, total: 120000 },
-            { description: 'Smoke Detectors', quantity: Math.max(2, Math.ceil(calculationResults.floorArea / 100)), unit: 'nos', unitPrice: 4500, total: Math.max(2, Math.ceil(calculationResults.floorArea / 100)) * 4500 },
-            { description: 'Heat Detectors', quantity: 2, unit: 'nos', unitPrice: 3800, total: 7600 },
-            { description: 'Manual Call Points', quantity: 2, unit: 'nos', unitPrice: 2500, total: 5000 }
-        ];
-        
-        additionalItems.forEach(item => {
-            subtotal += item.total;
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${item.description}</td>
-                <td>${item.quantity} ${item.unit}</td>
-                <td>${this.formatCurrency(item.unitPrice)}</td>
-                <td>${this.formatCurrency(item.total)}</td>
-            `;
-            boqBody.appendChild(row);
+            group.lines.map(line => this.displayBOQLine(line)).forEach(item => {
+                const taxCode = this.describeTaxCode(item.key);
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${this.escapeHtml(item.description)}${taxCode ? ` <span class="tax-code">${taxCode}</span>` : ''}</td>
+                    <td>${item.quantity} ${item.unit}</td>
+                    <td>${this.formatCurrency(item.unitPrice)}</td>
+                    <td>${this.formatCurrency(item.total)}</td>
+                `;
+                boqBody.appendChild(row);
+            });
         });
         
-        // Calculate additional costs
-        const installationCost = subtotal * 0.28; // 28% installation
-        const engineeringCost = subtotal * 0.15; // 15% engineering
-        const taxContingency = subtotal * 0.18; // 18% tax & contingency
-        const grandTotal = subtotal + installationCost + engineeringCost + taxContingency;
-        
-        // Update cost display
-        this.setElementText('subtotalCost', this.formatCurrency(subtotal));
-        this.setElementText('installationCost', this.formatCurrency(installationCost));
-        this.setElementText('engineeringCost', this.formatCurrency(engineeringCost));
-        this.setElementText('taxContingencyCost', this.formatCurrency(taxContingency));
-        this.setElementText('grandTotalCost', this.formatCurrency(grandTotal));
+        // Subtotals, percentage adjustments, tax and grand total
+        const boqFoot = document.querySelector('#boqTable tfoot');
+        if (boqFoot) {
+            boqFoot.innerHTML = this.getBOQSummaryRows(boq, tax).map(row => `
+                <tr class="${row.isGrandTotal ? 'grand-total-row' : 'total-row'}">
+                    <td colspan="3"><strong>${this.escapeHtml(row.label)}</strong></td>
+                    <td class="cost-value">${row.isGrandTotal ? `<strong>${this.formatCurrency(row.value)}</strong>` : this.formatCurrency(row.value)}</td>
+                </tr>
+            `).join('');
+        }
         
         // Update cost breakdown
-        this.setElementText('agentCostBreakdown', this.formatCurrency(calculationResults.agentWeight * 4000));
-        this.setElementText('cylinderCostBreakdown', this.formatCurrency(calculationResults.cylinderCount * 115000));
-        this.setElementText('detectionCostBreakdown', this.formatCurrency(120000 + (Math.max(2, Math.ceil(calculationResults.floorArea / 100)) * 4500) + 7600 + 5000));
-        this.setElementText('pipingCostBreakdown', this.formatCurrency((calculationResults.nozzleCount * 8000) + (calculationResults.pipingLength * 1200) + 15000));
+        this.setElementText('agentBreakdownLabel', `${this.getAgentName(this.currentData.calculationResults, true)} Agent`);
+        this.setElementText('agentCostBreakdown', this.formatCurrency(boq.categoryTotals.agent || 0));
+        this.setElementText('cylinderCostBreakdown', this.formatCurrency(boq.categoryTotals.cylinders || 0));
+        this.setElementText('detectionCostBreakdown', this.formatCurrency(boq.categoryTotals.detection || 0));
+        this.setElementText('pipingCostBreakdown', this.formatCurrency(boq.categoryTotals.piping || 0));
     }
 
     generateCylinderVisual() {
@@ -715,18 +2953,18 @@ class FM200Calculator {
             {
                 label: 'Total Cylinders',
                 value: calculationResults.cylinderCount,
-                subtitle: '54.4 kg cylinders',
+                subtitle: `${this.describeCylinders(calculationResults)} cylinders`,
                 color: 'var(--primary)'
             },
             {
                 label: 'Agent Weight',
-                value: `${calculationResults.agentWeight.toFixed(0)} kg`,
-                subtitle: 'FM-200 Clean Agent',
+                value: this.formatUnit(calculationResults.agentWeight, 'weight', 0),
+                subtitle: this.getAgentName(calculationResults),
                 color: 'var(--secondary)'
             },
             {
                 label: 'System Coverage',
-                value: `${calculationResults.netVolume.toFixed(0)} m³`,
+                value: this.formatUnit(calculationResults.netVolume, 'volume', 0),
                 subtitle: 'Protected Volume',
                 color: 'var(--tertiary)'
             },
@@ -747,7 +2985,7 @@ class FM200Calculator {
                 <div class="cylinder-content">
                     <div class="cylinder-label">${type.label}</div>
                     <div class="cylinder-value">${type.value}</div>
-                    <div class="cylinder-subtitle">${type.subtitle}</div>
+                    <div class="cylinder-subtitle">${this.escapeHtml(type.subtitle)}</div>
                 </div>
             `;
             
@@ -787,6 +3025,8 @@ class FM200Calculator {
                 this.emailBOQ();
             });
         }
+
+        this.initProjectFiles();
     }
 
     printResultsAsPDF() {
@@ -801,33 +3041,230 @@ class FM200Calculator {
 
         try {
             const { formData, calculationResults } = this.currentData;
-            const costs = this.calculateSystemCosts(calculationResults);
+            const { boq } = this.getCostResults();
+            const csvCell = (value) => `"${String(value).replace(/"/g, '""')}"`;
             
-            let csvContent = "data:text/csv;charset=utf-8,";
-            csvContent += "FM-200 Calculation Results\n";
-            csvContent += `Project: ${formData.projectName || 'Unnamed Project'}\n`;
-            csvContent += `Date: ${new Date().toLocaleDateString()}\n\n`;
+            let csvContent = "FM-200 Calculation Results\n";
+            csvContent += `Project,${csvCell(formData.projectName || 'Unnamed Project')}\n`;
+            csvContent += `Date,${new Date().toLocaleDateString()}\n\n`;
             
             csvContent += "Calculation Parameters\n";
-            csvContent += `Room Volume,${calculationResults.netVolume} m³\n`;
-            csvContent += `Design Temperature,${calculationResults.designTemperature} °C\n`;
+            csvContent += `Unit System,${this.getUnitSystem() === 'imperial' ? 'Imperial' : 'Metric (SI)'}\n`;
+            csvContent += `Gross Room Volume,${this.formatUnit(calculationResults.grossVolume ?? calculationResults.netVolume, 'volume')}\n`;
+            csvContent += `Obstruction Deductions,${this.formatUnit(calculationResults.obstructionVolume || 0, 'volume')}\n`;
+            csvContent += `Net Room Volume,${this.formatUnit(calculationResults.netVolume, 'volume')}\n`;
+            csvContent += `Design Temperature,${this.formatUnit(calculationResults.designTemperature, 'temperature')}\n`;
             csvContent += `Design Concentration,${calculationResults.concentration}%\n`;
-            csvContent += `Altitude,${calculationResults.altitude} m\n\n`;
+            csvContent += `Altitude,${this.formatUnit(calculationResults.altitude, 'length')}\n`;
+            csvContent += `Atmospheric Correction Factor,${calculationResults.altitudeFactor}\n\n`;
+            
+            if (calculationResults.corrections) {
+                csvContent += "Corrections Applied\n";
+                csvContent += "Factor,Value,Source\n";
+                calculationResults.corrections.forEach(item => {
+                    csvContent += `${csvCell(item.name)},${item.value}${item.unit},${csvCell(item.source)}\n`;
+                });
+                csvContent += `Combined Agent Quantity Factor,${calculationResults.quantityFactor}\n\n`;
+            }
+            
+            if (this.currentData.project) {
+                const { project } = this.currentData;
+                csvContent += "Project Rooms\n";
+                csvContent += `Room,Net Volume (${this.unitLabel('volume')}),Temperature (${this.unitLabel('temperature')}),Concentration (%),Agent (${this.unitLabel('weight')}),Cylinders,Nozzles,Room Total (${this.getCurrency()})\n`;
+                project.rooms.forEach(room => {
+                    const calc = room.calculationResults;
+                    csvContent += `${csvCell(room.name)},${this.displayValue(calc.netVolume, 'volume')},${this.displayValue(calc.designTemperature, 'temperature')},${calc.concentration},${this.displayValue(calc.agentWeight, 'weight')},${calc.cylinderCount},${calc.nozzleCount},${this.convertAmount(this.getCostTotal(room.costResults)).toFixed(2)}\n`;
+                });
+                if (project.centralBank) {
+                    csvContent += `Central Cylinder Bank,${csvCell(`${this.describeCylinders(project.bank)} sized for ${project.bank.governingRoom}`)}\n`;
+                }
+                csvContent += "\n";
+            }
+            
+            if (calculationResults.safety) {
+                const { safety } = calculationResults;
+                csvContent += "Occupational Safety\n";
+                csvContent += `Occupancy,${safety.occupancy}\n`;
+                csvContent += `Maximum Temperature,${this.formatUnit(safety.maxTemperature, 'temperature')}\n`;
+                csvContent += `Concentration at Maximum Temperature,${safety.maxConcentration}%\n`;
+                csvContent += `NOAEL,${safety.noael === null ? 'n/a' : `${safety.noael}%`}\n`;
+                csvContent += `LOAEL,${safety.loael === null ? 'n/a' : `${safety.loael}%`}\n`;
+                (calculationResults.warnings || []).forEach(warning => {
+                    csvContent += `${warning.level === 'danger' ? 'WARNING' : 'Caution'},${csvCell(warning.message)}\n`;
+                });
+                csvContent += "\n";
+            }
+            
+            if (calculationResults.concentrationTrace) {
+                csvContent += "Design Concentration Basis\n";
+                calculationResults.concentrationTrace.steps.forEach(step => {
+                    csvContent += `${csvCell(step)}\n`;
+                });
+                csvContent += "\n";
+            }
+            
+            if ((calculationResults.cylinderSelection || []).length > 0) {
+                csvContent += "Container Selection\n";
+                csvContent += `Zone,Container (L),Quantity,Agent per Container (${this.unitLabel('weight')}),Fill Density (${this.unitLabel('fillDensity')}),Fill Ratio (%),Within Fill Limits\n`;
+                calculationResults.cylinderSelection.forEach(item => {
+                    csvContent += `${csvCell(item.zone)},${item.volume},${item.count},${this.displayValue(item.fillPerContainer, 'weight')},${this.displayValue(item.fillDensity, 'fillDensity')},${item.fillRatio},${item.withinLimits ? 'Yes' : 'No'}\n`;
+                });
+                csvContent += "\n";
+            }
+            
+            if ((calculationResults.zones || []).length > 1) {
+                csvContent += "Protected Zones\n";
+                csvContent += `Zone,Height (${this.unitLabel('length')}),Net Volume (${this.unitLabel('volume')}),Agent (${this.unitLabel('weight')}),Cylinders,Nozzles\n`;
+                calculationResults.zones.forEach(zone => {
+                    csvContent += `${csvCell(zone.name)},${this.displayValue(zone.height, 'length')},${this.displayValue(zone.netVolume, 'volume')},${this.displayValue(zone.agentWeight, 'weight')},${zone.cylinderCount},${zone.nozzleCount}\n`;
+                });
+                csvContent += "\n";
+            }
+            
+            if ((calculationResults.obstructions || []).length > 0) {
+                csvContent += "Volume Deductions\n";
+                const length = this.unitLabel('length');
+                csvContent += `Obstruction,Length (${length}),Width (${length}),Height (${length}),Qty,Volume (${this.unitLabel('volume')})\n`;
+                calculationResults.obstructions.forEach(item => {
+                    csvContent += `${csvCell(item.name)},${this.displayValue(item.length, 'length')},${this.displayValue(item.width, 'length')},${this.displayValue(item.height, 'length')},${item.quantity},${this.displayValue(item.volume, 'volume')}\n`;
+                });
+                csvContent += "\n";
+            }
+            
+            if (calculationResults.integrity) {
+                const { integrity } = calculationResults;
+                csvContent += "Room Integrity (Hold Time)\n";
+                csvContent += `Leakage Data,${csvCell(this.describeIntegrity(integrity))}\n`;
+                csvContent += `Lower Leakage Fraction,${integrity.lowerLeakFraction * 100}%\n`;
+                csvContent += `Effective Leakage Area,${this.formatUnit(integrity.effectiveArea, 'area')}\n`;
+                csvContent += `Protected Height,${csvCell(this.describeProtectedHeight(integrity))}\n`;
+                csvContent += `Estimated Hold Time,${integrity.holdTime === null ? 'N/A' : `${integrity.holdTime} min`}\n`;
+                csvContent += `Minimum Hold Time,${integrity.minimumHoldTime} min\n`;
+                csvContent += `Status,${integrity.pass ? 'Pass' : 'Fail'}\n\n`;
+            } else if (this.currentData.project && this.currentData.project.rooms.some(room => room.calculationResults.integrity)) {
+                csvContent += "Room Integrity (Hold Time)\n";
+                csvContent += `Room,Leakage Data,Effective Area (${this.unitLabel('area')}),Protected Height from Slab (${this.unitLabel('length')}),Hold Time (min),Minimum (min),Status\n`;
+                this.currentData.project.rooms.filter(room => room.calculationResults.integrity).forEach(room => {
+                    const integrity = room.calculationResults.integrity;
+                    csvContent += `${csvCell(room.name)},${csvCell(this.describeIntegrity(integrity))},${this.displayValue(integrity.effectiveArea, 'area')},${this.displayValue(integrity.protectedHeight, 'length')},${integrity.holdTime === null ? 'N/A' : integrity.holdTime},${integrity.minimumHoldTime},${integrity.pass ? 'Pass' : 'Fail'}\n`;
+                });
+                csvContent += "\n";
+            }
+            
+            if (calculationResults.venting) {
+                const { venting } = calculationResults;
+                csvContent += "Pressure Relief Venting\n";
+                csvContent += `Allowable Wall Pressure,${this.formatUnit(venting.wallStrength, 'airPressure')}\n`;
+                csvContent += `Peak Discharge Flow,${this.formatUnit(venting.flow, 'ventFlow')}\n`;
+                csvContent += `Discharge Time,${venting.dischargeTime} s\n`;
+                csvContent += `Required Relief Area,${this.formatUnit(venting.requiredArea, 'area')}\n`;
+                csvContent += `Existing Leakage,${this.formatUnit(venting.leakageArea, 'area')}\n`;
+                csvContent += `Free Vent Area,${this.formatUnit(venting.freeVentArea, 'area')}\n`;
+                csvContent += `Vent Dampers,${csvCell(this.describeVentDampers(venting))}\n\n`;
+            } else if (this.currentData.project && this.currentData.project.rooms.some(room => room.calculationResults.venting)) {
+                csvContent += "Pressure Relief Venting\n";
+                const area = this.unitLabel('area');
+                csvContent += `Room,Wall Pressure (${this.unitLabel('airPressure')}),Flow (${this.unitLabel('ventFlow')}),Required Area (${area}),Existing Leakage (${area}),Free Vent Area (${area}),Vent Dampers\n`;
+                this.currentData.project.rooms.filter(room => room.calculationResults.venting).forEach(room => {
+                    const venting = room.calculationResults.venting;
+                    csvContent += `${csvCell(room.name)},${this.displayValue(venting.wallStrength, 'airPressure')},${this.displayValue(venting.flow, 'ventFlow')},${this.displayValue(venting.requiredArea, 'area')},${this.displayValue(venting.leakageArea, 'area')},${this.displayValue(venting.freeVentArea, 'area')},${csvCell(this.describeVentDampers(venting))}\n`;
+                });
+                csvContent += "\n";
+            }
+            
+            const layoutZones = (calculationResults.zones || []).filter(zone => zone.nozzleLayout);
+            if (layoutZones.length > 0) {
+                csvContent += "Nozzle Layout\n";
+                const length = this.unitLabel('length');
+                csvContent += `Zone,Nozzle Type,Tier,X (${length}),Y (${length}),Elevation (${length})\n`;
+                layoutZones.forEach(zone => {
+                    zone.nozzleLayout.positions.forEach(p => {
+                        csvContent += `${csvCell(zone.name)},${csvCell(zone.nozzleLayout.typeName)},${p.tier},${this.displayValue(p.x, 'length')},${this.displayValue(p.y, 'length')},${this.displayValue(p.z, 'length')}\n`;
+                    });
+                });
+                csvContent += "\n";
+            }
+            
+            if (calculationResults.detection) {
+                const { detection } = calculationResults;
+                csvContent += "Detection & Alarm\n";
+                csvContent += `Spacing Standard,${detection.standardName}\n`;
+                csvContent += `Zone,Height (${this.unitLabel('length')}),Detector,Spacing (${this.unitLabel('length')}),Circuit A,Circuit B\n`;
+                detection.zones.forEach(zone => {
+                    Object.entries(zone.spacing).forEach(([kind, spacing]) => {
+                        const detectors = zone.detectors.filter(d => d.type === kind);
+                        csvContent += `${csvCell(zone.name)},${this.displayValue(zone.height, 'length')},${kind},${this.displayValue(spacing, 'length')},${detectors.filter(d => d.circuit === 'A').length},${detectors.filter(d => d.circuit === 'B').length}\n`;
+                    });
+                });
+                csvContent += `Hooter / Strobes,${detection.hooterStrobes}\n`;
+                csvContent += `Manual Release Stations,${detection.manualReleaseStations}\n`;
+                csvContent += `Abort Stations,${detection.abortStations}\n\n`;
+            }
+            
+            if (calculationResults.hydraulics) {
+                const { hydraulics } = calculationResults;
+                csvContent += "Hydraulic Flow\n";
+                csvContent += `System Flow,${this.formatUnit(hydraulics.systemFlow, 'flow')}\n`;
+                csvContent += `Supply Pressure,${this.formatUnit(hydraulics.supplyPressure, 'pressure')}\n`;
+                csvContent += `Minimum Nozzle Pressure,${this.formatUnit(hydraulics.minNozzlePressure, 'pressure')}\n`;
+                csvContent += `Estimated Discharge Time,${hydraulics.estimatedDischargeTime === null ? 'No discharge' : `${hydraulics.estimatedDischargeTime} s`}\n`;
+                csvContent += `Nozzle Pressure Imbalance,${hydraulics.pressureImbalance}%\n`;
+                const length = this.unitLabel('length');
+                const pressure = this.unitLabel('pressure');
+                csvContent += `Segment,Fed From,Pipe Size,Length (${length}),Flow (${this.unitLabel('flow')}),Equivalent Length (${length}),Pressure Drop (${pressure}),Outlet Pressure (${pressure}),Orifice (${this.unitLabel('diameter')})\n`;
+                hydraulics.segments.forEach(segment => {
+                    const nozzle = hydraulics.nozzles.find(n => n.segment === segment.id);
+                    csvContent += `${csvCell(segment.id)},${csvCell(segment.upstream || 'Manifold')},${segment.size},${this.displayValue(segment.length, 'length')},${this.displayValue(segment.flow, 'flow')},${this.displayValue(segment.equivalentLength, 'length')},${this.displayValue(segment.pressureDrop, 'pressure')},${this.displayValue(segment.outletPressure, 'pressure')},${nozzle && nozzle.orificeDiameter !== null ? this.displayValue(nozzle.orificeDiameter, 'diameter') : ''}\n`;
+                });
+                csvContent += "\n";
+            }
             
             csvContent += "System Requirements\n";
-            csvContent += `FM-200 Agent Required,${calculationResults.agentWeight} kg\n`;
+            csvContent += `Agent,${csvCell(this.getAgentName(calculationResults))}\n`;
+            csvContent += `Agent Required,${this.formatUnit(calculationResults.agentWeight, 'weight')}\n`;
             csvContent += `Cylinders Required,${calculationResults.cylinderCount}\n`;
             csvContent += `Nozzles Required,${calculationResults.nozzleCount}\n`;
-            csvContent += `Piping Length,${calculationResults.pipingLength} m\n\n`;
+            csvContent += `Piping Length,${this.formatUnit(calculationResults.pipingLength, 'length')}\n\n`;
+            
+            const currency = this.getCurrency();
+            const exchangeRate = this.describeExchangeRate();
+            csvContent += `Bill of Quantities (${currency})\n`;
+            if (exchangeRate) {
+                csvContent += `Exchange Rate,${csvCell(exchangeRate)}\n`;
+            }
+            const priceList = this.describePriceList((this.currentData.metadata || {}).priceList);
+            if (priceList) {
+                csvContent += `Price List,${csvCell(priceList)}\n`;
+            }
+            csvContent += "Item,HSN/SAC,Quantity,Unit,Unit Price,Total\n";
+            boq.groups.forEach(group => {
+                csvContent += `${csvCell(group.title)}\n`;
+                group.lines.map(line => this.displayBOQLine(line)).forEach(item => {
+                    csvContent += `${csvCell(item.description)},${this.describeTaxCode(item.key)},${item.quantity},${item.unit},${this.convertAmount(item.unitPrice).toFixed(2)},${this.convertAmount(item.total).toFixed(2)}\n`;
+                });
+            });
+            csvContent += "\n";
+            
+            const tax = this.getTaxSummary(boq);
+            csvContent += `Cost Estimate (${currency})\n`;
+            this.getBOQSummaryRows(boq, tax).forEach(row => {
+                csvContent += `${csvCell(row.label)},${this.convertAmount(row.value).toFixed(2)}\n`;
+            });
             
-            csvContent += "Cost Estimate (INR)\n";
-            csvContent += `Equipment Subtotal,${costs.equipmentSubtotal.toLocaleString('en-IN')}\n`;
-            csvContent += `Installation (28%),${costs.installationFactorCost.toLocaleString('en-IN')}\n`;
-            csvContent += `Engineering (15%),${costs.engineeringFactorCost.toLocaleString('en-IN')}\n`;
-            csvContent += `Contingency (18%),${costs.contingency.toLocaleString('en-IN')}\n`;
-            csvContent += `GRAND TOTAL,${costs.totalINR.toLocaleString('en-IN')}\n`;
+            csvContent += `\nTax Summary,${csvCell(this.describeTax(tax))}\n`;
+            if (tax && tax.tax) {
+                const names = [...new Set(tax.components.map(c => c.name))];
+                csvContent += `HSN/SAC,Description,Taxable Value,Rate (%),${names.join(',')},Total Tax\n`;
+                tax.lines.forEach(line => {
+                    const amounts = names.map(name => {
+                        const component = line.components.find(c => c.name === name);
+                        return component ? this.convertAmount(component.amount).toFixed(2) : '';
+                    });
+                    csvContent += `${line.code ? `${line.type} ${line.code}` : ''},${csvCell(line.description)},${this.convertAmount(line.taxableValue).toFixed(2)},${line.rate},${amounts.join(',')},${this.convertAmount(line.tax).toFixed(2)}\n`;
+                });
+            }
             
-            const encodedUri = encodeURI(csvContent);
+            const encodedUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csvContent);
             const link = document.createElement("a");
             link.setAttribute("href", encodedUri);
             link.setAttribute("download", `FM200_Results_${formData.projectName || 'Project'}_${new Date().toISOString().slice(0,10)}.csv`);
@@ -850,7 +3287,7 @@ class FM200Calculator {
 
         try {
             const { formData, calculationResults } = this.currentData;
-            const costs = this.calculateSystemCosts(calculationResults);
+            const costSummary = this.getBOQSummaryText();
             
             const textToCopy = `
 FM-200 CALCULATION RESULTS
@@ -859,18 +3296,14 @@ Project: ${formData.projectName || 'Unnamed Project'}
 Date: ${new Date().toLocaleDateString()}
 
 CALCULATION SUMMARY:
-- Room Volume: ${calculationResults.netVolume} m³
-- FM-200 Agent Required: ${calculationResults.agentWeight} kg
-- Cylinders Required: ${calculationResults.cylinderCount} x 54.4 kg
+- Room Volume: ${this.formatUnit(calculationResults.netVolume, 'volume')} net (${this.formatUnit(calculationResults.obstructionVolume || 0, 'volume')} obstructions deducted)
+- ${this.getAgentName(calculationResults)} Required: ${this.formatUnit(calculationResults.agentWeight, 'weight')}
+- Cylinders Required: ${this.describeCylinders(calculationResults)}
 - Nozzles Required: ${calculationResults.nozzleCount}
-- Piping Length: ${calculationResults.pipingLength} m
+- Piping Length: ${this.formatUnit(calculationResults.pipingLength, 'length')}${this.getHoldTimeText(calculationResults)}
 
-COST ESTIMATE (INR):
-- Equipment & Materials: ${this.formatCurrency(costs.equipmentSubtotal)}
-- Installation (28%): ${this.formatCurrency(costs.installationFactorCost)}
-- Engineering (15%): ${this.formatCurrency(costs.engineeringFactorCost)}
-- Tax & Contingency (18%): ${this.formatCurrency(costs.contingency)}
-- GRAND TOTAL: ${this.formatCurrency(costs.totalINR)}
+COST ESTIMATE (${this.getCurrency()}):
+${costSummary}
 
 Note: This is a preliminary estimate. Consult with certified professionals for final design.
 
@@ -890,6 +3323,13 @@ https://fm-200-room-flooding-system-calcula.vercel.app/
         }
     }
 
+    getHoldTimeText(calculationResults) {
+        const integrity = calculationResults.integrity;
+        if (!integrity) return '';
+        const holdTime = integrity.holdTime === null ? 'N/A' : `${integrity.holdTime} min`;
+        return `\n- Hold Time: ${holdTime} (minimum ${integrity.minimumHoldTime} min, ${integrity.pass ? 'pass' : 'fail'})`;
+    }
+
     emailBOQ() {
         if (!this.currentData) {
             this.showNotification('No data to email. Please generate calculations first.', 'warning');
@@ -898,7 +3338,7 @@ https://fm-200-room-flooding-system-calcula.vercel.app/
 
         try {
             const { formData, calculationResults } = this.currentData;
-            const costs = this.calculateSystemCosts(calculationResults);
+            const costSummary = this.getBOQSummaryText();
             
             const subject = encodeURIComponent(`FM-200 Calculation Results - ${formData.projectName || 'Project'}`);
             const body = encodeURIComponent(`
@@ -908,23 +3348,19 @@ Project: ${formData.projectName || 'Unnamed Project'}
 Date: ${new Date().toLocaleDateString()}
 
 CALCULATION PARAMETERS:
-- Room Volume: ${calculationResults.netVolume} m³
-- Design Temperature: ${calculationResults.designTemperature} °C
+- Room Volume: ${this.formatUnit(calculationResults.netVolume, 'volume')} net (${this.formatUnit(calculationResults.obstructionVolume || 0, 'volume')} obstructions deducted)
+- Design Temperature: ${this.formatUnit(calculationResults.designTemperature, 'temperature')}
 - Design Concentration: ${calculationResults.concentration}%
-- Altitude: ${calculationResults.altitude} m
+- Altitude: ${this.formatUnit(calculationResults.altitude, 'length')} (correction factor ${calculationResults.altitudeFactor})
 
 SYSTEM REQUIREMENTS:
-- FM-200 Agent Required: ${calculationResults.agentWeight} kg
-- Cylinders Required: ${calculationResults.cylinderCount} x 54.4 kg
+- ${this.getAgentName(calculationResults)} Required: ${this.formatUnit(calculationResults.agentWeight, 'weight')}
+- Cylinders Required: ${this.describeCylinders(calculationResults)}
 - Nozzles Required: ${calculationResults.nozzleCount}
-- Piping Length: ${calculationResults.pipingLength} m
+- Piping Length: ${this.formatUnit(calculationResults.pipingLength, 'length')}${this.getHoldTimeText(calculationResults)}
 
-COST ESTIMATE (INR):
-- Equipment & Materials: ${this.formatCurrency(costs.equipmentSubtotal)}
-- Installation (28%): ${this.formatCurrency(costs.installationFactorCost)}
-- Engineering (15%): ${this.formatCurrency(costs.engineeringFactorCost)}
-- Tax & Contingency (18%): ${this.formatCurrency(costs.contingency)}
-- GRAND TOTAL: ${this.formatCurrency(costs.totalINR)}
+COST ESTIMATE (${this.getCurrency()}):
+${costSummary}
 
 This is a preliminary estimate generated by FM-200 Calculator.
 Please consult with certified fire protection engineers for final design.
@@ -947,14 +3383,22 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
     initQuotationPage() {
         console.log('Initializing Quotation Page');
         
-        this.loadCalculationData();
+        const loaded = this.loadCalculationData();
         this.setQuotationDates();
+        this.initTaxSettings();
         this.setupQuotationFormListeners();
         
-        // If we have calculation data, auto-fill the form
-        if (this.currentData) {
-            this.autoFillQuotationForm();
-        }
+        // Restore the fields kept with the calculation, otherwise auto-fill the form
+        loaded.then(() => {
+            if (this.currentData && this.currentData.quotation) {
+                QUOTATION_FIELDS.forEach(id => {
+                    if (this.currentData.quotation[id] !== undefined) this.setFormValue(id, this.currentData.quotation[id]);
+                });
+                this.updateQuotationPreview();
+            } else if (this.currentData) {
+                this.autoFillQuotationForm();
+            }
+        });
         
         console.log('Quotation Page Initialized');
     }
@@ -981,18 +3425,23 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
         }
         
         // Update preview on form changes
-        const formElements = [
-            'quotationNumber', 'quotationDate', 'validUntil', 'currency',
-            'clientName', 'clientContact', 'clientEmail', 'clientPhone', 'clientAddress',
-            'senderName', 'senderEmail', 'senderPhone', 'senderWebsite',
-            'paymentTerms', 'deliveryTime', 'scopeOfWork'
-        ];
-        
-        formElements.forEach(id => {
+        QUOTATION_FIELDS.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('input', () => this.updateQuotationPreview());
-                element.addEventListener('change', () => this.updateQuotationPreview());
+                element.addEventListener('change', () => {
+                    this.updateQuotationPreview();
+                    this.storeQuotationFields();
+                });
+            }
+        });
+        
+        // Tax settings are kept with the preferences so the results page shows the same totals
+        const taxFields = { taxJurisdiction: 'jurisdiction', supplierState: 'supplierState', placeOfSupply: 'placeOfSupply' };
+        Object.entries(taxFields).forEach(([id, setting]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', () => this.setTaxSettings({ [setting]: element.value }));
             }
         });
     }
@@ -1018,21 +3467,34 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
         this.setFormValue('clientAddress', formData.clientLocation || 'Client Location');
         
         // Update scope of work
-        const scopeOfWork = `Design, Supply, Installation, and Commissioning of FM-200 Fire Suppression System as per NFPA 2001 standard for ${calculationResults.netVolume} m³ room volume. System includes ${calculationResults.cylinderCount} cylinders (${calculationResults.cylinderSize} kg each), ${calculationResults.nozzleCount} nozzles, complete detection system, piping network, and commissioning services.`;
+        const scopeOfWork = `Design, Supply, Installation, and Commissioning of ${this.getAgentName(calculationResults)} Fire Suppression System as per NFPA 2001 standard for ${this.formatUnit(calculationResults.netVolume, 'volume')} room volume. System includes ${calculationResults.cylinderCount} cylinders (${this.describeCylinders(calculationResults)}), ${calculationResults.nozzleCount} nozzles, complete detection system, piping network, and commissioning services.`;
         this.setFormValue('scopeOfWork', scopeOfWork);
         
         // Update preview
         this.updateQuotationPreview();
+        this.storeQuotationFields();
         
         this.showNotification('Quotation form auto-filled with calculation data!', 'success');
     }
 
+    // The quotation travels with the calculation, so it is restored on return and saved in project files
+    storeQuotationFields() {
+        if (!this.currentData) return;
+
+        const quotation = {};
+        QUOTATION_FIELDS.forEach(id => {
+            const value = this.getFormValue(id);
+            if (value !== null) quotation[id] = value;
+        });
+        this.currentData.quotation = quotation;
+        this.storeCalculationData(this.currentData);
+    }
+
     updateQuotationPreview() {
         // Update all preview fields from form values
         this.updatePreviewField('quotationNumber', 'previewQuoteNumber');
         this.updatePreviewField('quotationDate', 'previewDate', true);
         this.updatePreviewField('validUntil', 'previewValidUntil', true);
-        this.updatePreviewField('currency', 'previewCurrency');
         this.updatePreviewField('clientName', 'previewClientName');
         this.updatePreviewField('clientContact', 'previewClientContact');
         this.updatePreviewField('clientEmail', 'previewClientEmail');
@@ -1050,24 +3512,129 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
         this.updatePreviewField('senderName', 'finalSenderName');
         this.updatePreviewField('paymentTerms', 'finalPaymentTerms');
         this.updatePreviewField('deliveryTime', 'finalDeliveryTime');
-        this.setElementText('finalCurrency', 'INR');
+        const currency = this.getCurrency();
+        const exchangeRate = this.describeExchangeRate();
+        this.setElementText('previewCurrency', `${currency} (${this.getCurrencyName(currency)})`);
+        this.setElementText('finalCurrency', currency);
+        this.setElementText('previewExchangeRate', exchangeRate);
+        const exchangeRateItem = document.getElementById('previewExchangeRateItem');
+        if (exchangeRateItem) {
+            exchangeRateItem.style.display = exchangeRate ? '' : 'none';
+        }
         
         // Update calculation results if available
         if (this.currentData) {
             const { calculationResults } = this.currentData;
-            const costs = this.calculateSystemCosts(calculationResults);
+            const { boq } = this.getCostResults();
             
-            this.setElementText('previewRoomVolume', `${calculationResults.netVolume} m³`);
-            this.setElementText('previewAgentWeight', `${calculationResults.agentWeight} kg`);
+            this.setElementText('previewRoomVolume', this.formatUnit(calculationResults.netVolume, 'volume'));
+            this.setElementText('previewAgentLabel', `${this.getAgentName(calculationResults, true)} Agent:`);
+            this.setElementText('previewAgentWeight', this.formatUnit(calculationResults.agentWeight, 'weight'));
             this.setElementText('previewCylinderCount', `${calculationResults.cylinderCount} pcs`);
             this.setElementText('previewNozzleCount', `${calculationResults.nozzleCount} pcs`);
+            this.renderWarnings('quoteWarnings', calculationResults.warnings);
+            
+            const holdTimeItem = document.getElementById('previewHoldTimeItem');
+            if (holdTimeItem) {
+                const integrity = calculationResults.integrity;
+                holdTimeItem.style.display = integrity ? '' : 'none';
+                if (integrity) {
+                    this.setElementText('previewHoldTime', integrity.holdTime === null ? 'N/A' : `${integrity.holdTime} min`);
+                }
+            }
             
-            this.setElementText('previewSystemCost', this.formatCurrency(costs.equipmentSubtotal));
-            this.setElementText('previewInstallationCost', this.formatCurrency(costs.installationFactorCost));
-            this.setElementText('previewEngineeringCost', this.formatCurrency(costs.engineeringFactorCost));
-            this.setElementText('previewContingencyCost', this.formatCurrency(costs.contingency));
-            this.setElementText('previewTotalCost', this.formatCurrency(costs.totalINR));
+            const tax = this.getTaxSummary(boq);
+            this.renderQuotationBOQ(boq, tax);
+            this.renderQuotationTax(tax);
+        }
+    }
+
+    renderQuotationBOQ(boq, tax) {
+        const boqBody = document.getElementById('quoteBOQBody');
+        if (!boqBody) return;
+        
+        const rows = [
+            ...boq.lines.map(line => this.displayBOQLine(line)).map(item => {
+                const taxCode = this.describeTaxCode(item.key);
+                return {
+                    description: `${item.group ? `${this.escapeHtml(item.group)}: ` : ''}${this.escapeHtml(item.description)} (${item.quantity} ${item.unit})${taxCode ? ` <span class="tax-code">${taxCode}</span>` : ''}`,
+                    amount: item.total
+                };
+            }),
+            ...boq.adjustments.map(a => ({ description: this.escapeHtml(a.description), amount: a.total }))
+        ];
+        
+        boqBody.innerHTML = rows.map(row => `
+            <tr>
+                <td>${row.description}</td>
+                <td class="cost-value">${this.formatCurrency(row.amount)}</td>
+            </tr>
+        `).join('');
+        
+        // Tax rows sit between the pre-tax total and the grand total
+        const boqFoot = document.getElementById('quoteBOQFoot');
+        if (boqFoot) {
+            const taxRows = tax && tax.tax ? [
+                { label: `TOTAL BEFORE ${tax.tax}`, amount: boq.grandTotal },
+                ...tax.components.map(c => ({ label: c.label, amount: c.amount }))
+            ] : [];
+            boqFoot.innerHTML = taxRows.map(row => `
+                <tr class="total-row">
+                    <td><strong>${this.escapeHtml(row.label)}</strong></td>
+                    <td class="cost-value">${this.formatCurrency(row.amount)}</td>
+                </tr>
+            `).join('') + `
+                <tr class="grand-total-row">
+                    <td><strong>TOTAL ESTIMATED COST${tax && tax.tax ? ` (INCL. ${tax.tax})` : ''}</strong></td>
+                    <td id="previewTotalCost" class="cost-value"><strong>${this.formatCurrency(tax ? tax.totalWithTax : boq.grandTotal)}</strong></td>
+                </tr>
+            `;
+        }
+    }
+
+    // HSN/SAC-wise tax summary, as printed on Indian GST and UAE VAT documents
+    renderQuotationTax(tax) {
+        let terms = 'Prices exclude GST / VAT and other local taxes where applicable';
+        if (!tax) {
+            terms = this.describeTax(tax);
+        } else if (tax.tax) {
+            terms = `Prices exclude ${tax.tax}; ${tax.tax} is shown separately above. ${this.describeTax(tax)}`;
+        }
+        this.setElementText('taxTerms', terms);
+
+        const panel = document.getElementById('quoteTaxPanel');
+        if (!panel) return;
+        panel.style.display = tax && tax.tax ? '' : 'none';
+        if (!tax || !tax.tax) return;
+
+        const names = [...new Set(tax.components.map(c => c.name))];
+        const thead = document.querySelector('#quoteTaxTable thead');
+        if (thead) {
+            thead.innerHTML = `
+                <tr>
+                    <th>HSN/SAC</th>
+                    <th>Taxable Value</th>
+                    ${names.map(name => `<th>${name}</th>`).join('')}
+                    <th>Total Tax</th>
+                </tr>
+            `;
+        }
+
+        const tbody = document.querySelector('#quoteTaxTable tbody');
+        if (tbody) {
+            tbody.innerHTML = tax.lines.map(line => `
+                <tr>
+                    <td>${line.code ? `${line.type} ${line.code}` : line.description}</td>
+                    <td class="cost-value">${this.formatCurrency(line.taxableValue)}</td>
+                    ${names.map(name => {
+                        const component = line.components.find(c => c.name === name);
+                        return `<td class="cost-value">${component ? `${this.formatCurrency(component.amount)} <small>@ ${component.rate}%</small>` : '--'}</td>`;
+                    }).join('')}
+                    <td class="cost-value">${this.formatCurrency(line.tax)}</td>
+                </tr>
+            `).join('');
         }
+        this.setElementText('quoteTaxNote', this.describeTax(tax));
     }
 
     updatePreviewField(sourceId, targetId, formatDate = false) {
@@ -1094,6 +3661,603 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
         }
     }
 
+    // ============================================================================
+    // PRICE LIST EDITOR PAGE
+    // ============================================================================
+
+    initPricingPage() {
+        console.log('Initializing Price List Page');
+
+        this.editingPriceVersion = this.loadPriceLibrary().active || '';
+        this.renderPriceFields();
+        this.initPriceListImport();
+
+        const form = document.getElementById('priceListForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.savePriceListForm();
+            });
+            form.addEventListener('input', (e) => {
+                if (e.target.dataset.priceKey) this.checkPriceField(e.target);
+            });
+        }
+
+        const editSelect = document.getElementById('editVersion');
+        if (editSelect) {
+            editSelect.addEventListener('change', () => {
+                this.editingPriceVersion = editSelect.value;
+                this.loadPriceListForm();
+            });
+        }
+
+        const activeSelect = document.getElementById('activeVersion');
+        if (activeSelect) {
+            activeSelect.addEventListener('change', () => {
+                this.setActivePriceVersion(activeSelect.value).then(() => {
+                    this.showNotification(`${this.priceList.version} is now the active price list.`, 'success');
+                });
+            });
+        }
+
+        const currencySelect = document.getElementById('priceCurrency');
+        if (currencySelect) {
+            currencySelect.addEventListener('change', () => this.updatePriceCurrencyLabels());
+        }
+
+        const deleteBtn = document.getElementById('deletePriceVersionBtn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                const name = this.editingPriceVersion;
+                if (name && confirm(`Delete price list version ${name}?`)) {
+                    this.editingPriceVersion = '';
+                    this.deletePriceVersion(name).then(() => {
+                        this.showNotification(`Version ${name} deleted.`, 'info');
+                    });
+                }
+            });
+        }
+
+        const exportBtn = document.getElementById('exportPriceListBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const { data, errors } = this.collectPriceListForm();
+                if (errors.length > 0) {
+                    this.showNotification(`Fix the price list before exporting: ${errors[0]}`, 'error');
+                    return;
+                }
+                this.exportPriceList(data);
+            });
+        }
+
+        ['diffFrom', 'diffTo'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.renderPriceDiff());
+        });
+
+        console.log('Price List Page Initialized');
+    }
+
+    // Standard list for '', otherwise the saved version's data
+    getPriceListData(name) {
+        if (!name) return this.standardPriceList.data;
+        const entry = this.getPriceVersion(name);
+        return entry ? entry.data : null;
+    }
+
+    // Re-lists versions after every load, save or delete
+    renderPricingPage() {
+        const library = this.loadPriceLibrary();
+        const { data, source } = this.standardPriceList;
+        const options = [`<option value="">Standard - ${this.escapeHtml(data.version)} (${this.escapeHtml(source)})</option>`]
+            .concat(library.versions.map(entry => {
+                const name = this.escapeHtml(entry.data.version);
+                return `<option value="${name}">${name} (${this.escapeHtml(entry.origin)})</option>`;
+            }))
+            .join('');
+
+        if (!this.getPriceListData(this.editingPriceVersion)) this.editingPriceVersion = '';
+        const selected = {
+            editVersion: this.editingPriceVersion,
+            activeVersion: library.active || '',
+            diffFrom: this.getFormValue('diffFrom'),
+            diffTo: this.getFormValue('diffTo') || library.active || (library.versions[0] ? library.versions[0].data.version : '')
+        };
+        Object.entries(selected).forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = options;
+            select.value = this.getPriceListData(value) ? value : '';
+        });
+
+        const currencySelect = document.getElementById('priceCurrency');
+        if (currencySelect) {
+            currencySelect.innerHTML = Object.keys(this.exchangeRates)
+                .map(code => `<option value="${code}">${this.getCurrencyName(code)} (${code})</option>`)
+                .join('');
+        }
+
+        const deleteBtn = document.getElementById('deletePriceVersionBtn');
+        if (deleteBtn) deleteBtn.disabled = !this.editingPriceVersion;
+
+        this.loadPriceListForm();
+        this.renderPriceDiff();
+    }
+
+    // One input per costMultipliers key, grouped like the BOQ
+    renderPriceFields() {
+        const container = document.getElementById('priceFields');
+        if (!container) return;
+
+        const fields = Object.entries(FM200Engine.COST_MULTIPLIER_FIELDS);
+        container.innerHTML = Object.entries(FM200Engine.COST_MULTIPLIER_GROUPS).map(([group, title]) => `
+            <div class="form-section">
+                <h3>${title}</h3>
+                <div class="price-field-grid">
+                    ${fields.filter(([, field]) => field.group === group).map(([key, field]) => `
+                        <div class="form-group">
+                            <label for="price-${key}">${field.name} <span class="price-unit" data-price-unit="${field.unit}"></span></label>
+                            <input type="number" id="price-${key}" data-price-key="${key}" step="any" min="${field.min}"${field.max !== undefined ? ` max="${field.max}"` : ''} required>
+                            <p id="price-${key}-error" class="price-field-error"></p>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    loadPriceListForm() {
+        const name = this.editingPriceVersion;
+        const data = this.getPriceListData(name);
+        if (!data) return;
+
+        this.setFormValue('priceVersionName', name ? data.version : '');
+        this.setFormValue('priceCurrency', data.currency);
+        document.querySelectorAll('#priceFields input[data-price-key]').forEach(input => {
+            input.value = data.costMultipliers[input.dataset.priceKey];
+            this.checkPriceField(input);
+        });
+
+        const deleteBtn = document.getElementById('deletePriceVersionBtn');
+        if (deleteBtn) deleteBtn.disabled = !name;
+        this.updatePriceCurrencyLabels();
+    }
+
+    updatePriceCurrencyLabels() {
+        const currency = this.getFormValue('priceCurrency');
+        document.querySelectorAll('.price-unit').forEach(label => {
+            const unit = label.dataset.priceUnit;
+            label.textContent = unit === 'multiplier' ? '(multiplier, 1.18 = +18%)' : `(${currency} ${unit})`;
+        });
+    }
+
+    checkPriceField(input) {
+        const value = input.value === '' ? NaN : parseFloat(input.value);
+        const error = FM200Engine.checkCostMultiplier(input.dataset.priceKey, value);
+        input.classList.toggle('invalid', Boolean(error));
+        this.setElementText(`${input.id}-error`, error || '');
+        return error;
+    }
+
+    // Keeps the edited list's exchange rates and cylinder catalogues; only the prices, currency and name change
+    collectPriceListForm() {
+        const base = this.getPriceListData(this.editingPriceVersion) || this.standardPriceList.data;
+        const costMultipliers = {};
+        const errors = [];
+
+        document.querySelectorAll('#priceFields input[data-price-key]').forEach(input => {
+            const error = this.checkPriceField(input);
+            if (error) errors.push(error);
+            costMultipliers[input.dataset.priceKey] = parseFloat(input.value);
+        });
+
+        const version = (this.getFormValue('priceVersionName') || '').trim();
+        if (!version) errors.unshift('Give the version a name');
+
+        const data = { ...base, version, currency: this.getFormValue('priceCurrency'), costMultipliers };
+        if (errors.length === 0) errors.push(...this.checkPriceList(data));
+        return { data, errors };
+    }
+
+    savePriceListForm() {
+        const { data, errors } = this.collectPriceListForm();
+        if (errors.length > 0) {
+            this.showNotification(`Price list not saved: ${errors[0]}`, 'error');
+            return;
+        }
+
+        if (data.version !== this.editingPriceVersion && this.getPriceVersion(data.version) &&
+            !confirm(`Replace the saved version ${data.version}?`)) {
+            return;
+        }
+
+        this.editingPriceVersion = data.version;
+        this.savePriceVersion(data, 'price list editor', false).then(() => {
+            const active = this.loadPriceLibrary().active === data.version;
+            this.showNotification(active
+                ? `Saved ${data.version} - new calculations use it.`
+                : `Saved ${data.version}. Make it the active version to price new calculations with it.`, 'success');
+        });
+    }
+
+    formatPriceValue(key, value) {
+        if (typeof value !== 'number') return value === undefined ? '--' : String(value);
+        return key.endsWith('Factor') ? String(value) : value.toFixed(2);
+    }
+
+    renderPriceDiff() {
+        const tbody = document.querySelector('#priceDiffTable tbody');
+        if (!tbody) return;
+
+        const fromName = this.getFormValue('diffFrom');
+        const toName = this.getFormValue('diffTo');
+        const from = this.getPriceListData(fromName);
+        const to = this.getPriceListData(toName);
+        if (!from || !to) return;
+
+        const changes = FM200Engine.diffPriceLists(from, to);
+        this.setElementText('priceDiffNote', changes.length === 0
+            ? 'No differences between these versions.'
+            : `${changes.length} change${changes.length === 1 ? '' : 's'} from ${from.version} to ${to.version}.`);
+
+        tbody.innerHTML = changes.map(change => {
+            const direction = change.change > 0 ? 'up' : change.change < 0 ? 'down' : '';
+            return `
+                <tr>
+                    <td>${change.name}</td>
+                    <td>${this.formatPriceValue(change.key, change.from)}</td>
+                    <td>${this.formatPriceValue(change.key, change.to)}</td>
+                    <td class="${direction ? `price-change-${direction}` : ''}">${change.change === null ? '--' : `${change.change > 0 ? '+' : ''}${change.change}%`}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // ============================================================================
+    // SCENARIO COMPARISON PAGE
+    // ============================================================================
+
+    // Scenarios are { name, source, data: completeData }; source keeps a saved calculation from being added twice
+    loadComparison() {
+        try {
+            return JSON.parse(localStorage.getItem(APP_CONFIG.storageKeys.COMPARISON) || '[]');
+        } catch (e) {
+            console.warn('Error loading comparison:', e);
+            return [];
+        }
+    }
+
+    storeComparison(scenarios) {
+        try {
+            localStorage.setItem(APP_CONFIG.storageKeys.COMPARISON, JSON.stringify(scenarios));
+            return true;
+        } catch (e) {
+            this.showNotification('Error saving comparison: ' + e.message, 'error');
+            return false;
+        }
+    }
+
+    // false (after a notification) when the comparison is full or already holds the source
+    addToComparison(name, data, source) {
+        const scenarios = this.loadComparison();
+        if (source && scenarios.some(scenario => scenario.source === source)) {
+            this.showNotification(`${name} is already in the comparison.`, 'info');
+            return false;
+        }
+        if (scenarios.length >= APP_CONFIG.maxCompareScenarios) {
+            this.showNotification(`The comparison holds up to ${APP_CONFIG.maxCompareScenarios} scenarios - remove one first.`, 'warning');
+            return false;
+        }
+
+        scenarios.push({ name, source, data });
+        return this.storeComparison(scenarios);
+    }
+
+    initComparePage() {
+        console.log('Initializing Compare Page');
+
+        this.renderCompareSources();
+
+        const addBtn = document.getElementById('addScenarioBtn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addCompareSource());
+        }
+
+        const variantForm = document.getElementById('variantForm');
+        if (variantForm) {
+            variantForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addVariant();
+            });
+        }
+
+        const exportBtn = document.getElementById('exportCompareCSV');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportComparisonToCSV());
+        }
+
+        const clearBtn = document.getElementById('clearComparisonBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                if (this.storeComparison([])) this.renderComparison();
+            });
+        }
+
+        this.renderComparison();
+
+        console.log('Compare Page Initialized');
+    }
+
+    // The last calculation and every saved calculation that kept its results
+    getCompareSources() {
+        const sources = [];
+        try {
+            const last = JSON.parse(localStorage.getItem(APP_CONFIG.storageKeys.LAST_CALCULATION) || 'null');
+            if (last && last.calculationResults) {
+                sources.push({ name: `Last calculation (${last.formData.projectName})`, source: `last:${last.metadata?.projectId}`, data: last });
+            }
+        } catch (e) {
+            console.warn('Error loading last calculation:', e);
+        }
+
+        this.loadSavedCalculations()
+            .filter(entry => entry.data.calculationResults)
+            .forEach(entry => sources.push({ name: entry.name, source: `saved:${entry.id}`, data: entry.data }));
+        return sources;
+    }
+
+    renderCompareSources() {
+        const select = document.getElementById('compareSource');
+        if (!select) return;
+
+        const sources = this.getCompareSources();
+        select.innerHTML = sources.length === 0
+            ? '<option value="">No calculations yet - use the calculator first</option>'
+            : sources.map((source, index) => `<option value="${index}">${this.escapeHtml(source.name)}</option>`).join('');
+    }
+
+    addCompareSource() {
+        const source = this.getCompareSources()[parseInt(this.getFormValue('compareSource'), 10)];
+        if (!source) return;
+
+        if (this.addToComparison(source.name, source.data, source.source)) {
+            this.renderComparison();
+        }
+    }
+
+    // A copy of a scenario at another design concentration and/or temperature, priced with the current price list
+    addVariant() {
+        const base = this.loadComparison()[parseInt(this.getFormValue('variantBase'), 10)];
+        if (!base) {
+            this.showNotification('Add a scenario to base the variant on first.', 'warning');
+            return;
+        }
+
+        const overrides = {};
+        const concentration = parseFloat(this.getFormValue('variantConcentration'));
+        const temperature = this.getUnitValue('variantTemperature');
+        if (!isNaN(concentration)) overrides.concentration = concentration;
+        if (temperature !== null) overrides.designTemperature = temperature;
+        if (Object.keys(overrides).length === 0) {
+            this.showNotification('Enter a design concentration or temperature for the variant.', 'warning');
+            return;
+        }
+
+        const changes = [
+            overrides.concentration !== undefined ? `${overrides.concentration}%` : null,
+            overrides.designTemperature !== undefined ? this.formatUnit(overrides.designTemperature, 'temperature') : null
+        ].filter(Boolean).join(', ');
+
+        this.priceListLoaded.then(() => {
+            // A hotter design temperature raises the maximum temperature with it
+            const vary = (formData) => {
+                const varied = { ...formData, ...overrides };
+                if (overrides.designTemperature !== undefined && varied.maxTemperature !== null && varied.maxTemperature !== undefined) {
+                    varied.maxTemperature = Math.max(varied.maxTemperature, overrides.designTemperature);
+                }
+                return varied;
+            };
+
+            let data;
+            try {
+                const { formData, project } = base.data;
+                data = project
+                    ? this.buildProjectData(project.rooms.map(room => vary(room.formData)), project.centralBank, formData)
+                    : this.buildCompleteData(vary(formData));
+            } catch (error) {
+                this.showNotification(`Variant not added - ${error.message}`, 'error');
+                return;
+            }
+
+            if (this.addToComparison(`${base.name} @ ${changes}`, data, null)) {
+                this.renderComparison();
+            }
+        });
+    }
+
+    removeScenario(index) {
+        const scenarios = this.loadComparison();
+        scenarios.splice(index, 1);
+        if (this.storeComparison(scenarios)) this.renderComparison();
+    }
+
+    // Rows of display text (so the page and the CSV agree): inputs, results, then one row per costResults line
+    getComparisonRows(scenarios) {
+        const rows = [];
+        const section = (title) => rows.push({ section: title });
+        const row = (label, value) => {
+            const values = scenarios.map((scenario, index) => {
+                const text = value(scenario.data, index);
+                return text === null || text === undefined || text === '' ? '--' : String(text);
+            });
+            rows.push({ label, values, differs: new Set(values).size > 1 });
+        };
+
+        section('Inputs');
+        row('Project', d => d.formData.projectName);
+        row('Rooms', d => d.project ? d.project.rooms.map(room => room.name).join(', ') : d.formData.roomName);
+        row('Room Size (L × W × H)', d => d.project ? null
+            : `${this.displayValue(d.formData.roomLength, 'length')} × ${this.displayValue(d.formData.roomWidth, 'length')} × ${this.formatUnit(d.formData.roomHeight, 'length')}`);
+        row('Raised Floor / Ceiling Void', d => d.project ? null
+            : `${this.formatUnit(d.formData.raisedFloorDepth || 0, 'length')} / ${this.formatUnit(d.formData.ceilingVoidDepth || 0, 'length')}`);
+        row('Design Temperature', d => this.formatUnit(d.formData.designTemperature, 'temperature'));
+        row('Maximum Temperature', d => d.formData.maxTemperature !== null && d.formData.maxTemperature !== undefined
+            ? this.formatUnit(d.formData.maxTemperature, 'temperature') : null);
+        row('Altitude', d => this.formatUnit(d.formData.altitude, 'length'));
+        row('Agent', d => this.getAgentName(d.calculationResults));
+        row('Design Concentration', d => `${d.formData.concentration}%`);
+        row('Hazard', d => {
+            const hazard = FM200Engine.HAZARD_CLASSES[d.formData.hazardClass];
+            if (!hazard) return null;
+            return d.formData.fuel ? `${hazard.name} (${FM200Engine.FUELS[d.formData.fuel] || d.formData.fuel})` : hazard.name;
+        });
+        row('Occupancy', d => d.formData.occupancy);
+        row('Cylinder Selection', d => d.formData.cylinderStrategy);
+        row('Nozzle Type', d => (FM200Engine.NOZZLE_TYPES[d.formData.nozzleType] || {}).name);
+        row('Detection Standard', d => (FM200Engine.DETECTION_STANDARDS[d.formData.detectionStandard] || {}).name);
+        row('Price List', d => d.metadata && d.metadata.priceList ? `${d.metadata.priceList.version} (${d.metadata.priceList.currency})` : null);
+
+        section('Results');
+        row('Net Volume', d => this.formatUnit(d.calculationResults.netVolume, 'volume'));
+        row('Agent Weight', d => this.formatUnit(d.calculationResults.agentWeight, 'weight'));
+        row('Cylinders', d => this.describeCylinders(d.calculationResults));
+        row('Cylinder Count', d => d.calculationResults.cylinderCount);
+        row('Nozzles', d => d.calculationResults.nozzleCount);
+        row('Piping Length', d => this.formatUnit(d.calculationResults.pipingLength, 'length'));
+        row('Hold Time', d => {
+            const integrity = d.calculationResults.integrity;
+            if (!integrity) return null;
+            return `${integrity.holdTime === null ? 'N/A' : `${integrity.holdTime} min`} (${integrity.pass ? 'pass' : 'fail'})`;
+        });
+
+        // Results saved before the BOQ model are priced with the current list, as on the results page
+        const boqs = scenarios.map(scenario => {
+            const { costResults, calculationResults } = scenario.data;
+            return costResults && costResults.boq ? costResults.boq : this.calculateSystemCosts(calculationResults).boq;
+        });
+        const byBOQ = (value) => (d, index) => value(boqs[index]);
+
+        // Costs are shown in the display currency; a price list with no rate to it stays in its own
+        const currency = this.getCurrency();
+        const convertible = (boq) => {
+            try {
+                FM200Engine.convertCurrency(0, boq.currency || 'INR', currency, this.exchangeRates);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        };
+        const amount = (boq, value) => convertible(boq)
+            ? this.formatAmountIn(FM200Engine.convertCurrency(value, boq.currency || 'INR', currency, this.exchangeRates), currency)
+            : this.formatAmountIn(value, boq.currency || 'INR');
+
+        // Descriptions carry sizes and agent names, so lines are labelled by what they price
+        const lineLabels = { agentCost: 'Clean Agent', pipingCost: 'Piping' };
+        section('Costs');
+        row('Currency', byBOQ(boq => convertible(boq) ? currency : `${boq.currency} (no rate to ${currency} - not comparable)`));
+        const keys = [];
+        boqs.forEach(boq => boq.lines.forEach(line => {
+            if (!keys.includes(line.key)) keys.push(line.key);
+        }));
+        keys.forEach(key => {
+            const first = boqs.map(boq => boq.lines.find(line => line.key === key)).find(Boolean);
+            row(lineLabels[key] || first.description.replace(/\s*\(.*\)$/, ''), byBOQ(boq => {
+                const lines = boq.lines.filter(line => line.key === key);
+                return lines.length > 0 ? amount(boq, lines.reduce((sum, line) => sum + line.total, 0)) : null;
+            }));
+        });
+        row('Equipment & Materials Subtotal', byBOQ(boq => amount(boq, boq.equipmentSubtotal)));
+        row('Labour & Services Subtotal', byBOQ(boq => amount(boq, boq.laborSubtotal)));
+        boqs[0].adjustments.forEach(adjustment => {
+            row(adjustment.description.replace(/\s*\(.*\)$/, ''), byBOQ(boq => {
+                const match = boq.adjustments.find(a => a.key === adjustment.key);
+                return match ? `${amount(boq, match.total)} (${this.round(match.rate * 100, 2)}%)` : null;
+            }));
+        });
+        row('Grand Total (excl. tax)', byBOQ(boq => amount(boq, boq.grandTotal)));
+
+        return rows;
+    }
+
+    renderComparison() {
+        const table = document.getElementById('compareTable');
+        if (!table) return;
+
+        const scenarios = this.loadComparison();
+        this.setElementText('compareCount', scenarios.length);
+
+        const baseSelect = document.getElementById('variantBase');
+        if (baseSelect) {
+            baseSelect.innerHTML = scenarios.map((scenario, index) => `<option value="${index}">${this.escapeHtml(scenario.name)}</option>`).join('');
+        }
+
+        if (scenarios.length === 0) {
+            this.setElementText('compareNote', 'Add two to four saved calculations or variants to compare them.');
+            table.innerHTML = '';
+            return;
+        }
+
+        const rows = this.getComparisonRows(scenarios);
+        const differing = rows.filter(row => row.differs).length;
+        this.setElementText('compareNote', scenarios.length < 2
+            ? 'Add at least one more scenario to compare.'
+            : `${differing} row${differing === 1 ? '' : 's'} differ - changes from the first scenario are highlighted. Costs are converted to ${this.getCurrency()} at the current rates, before tax.`);
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    ${scenarios.map((scenario, index) => `
+                        <th>${this.escapeHtml(scenario.name)}
+                            <button type="button" class="btn-icon compare-remove" data-index="${index}" title="Remove from comparison"><i class="fas fa-times"></i></button>
+                        </th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => row.section
+                    ? `<tr class="compare-section-row"><td colspan="${scenarios.length + 1}">${row.section}</td></tr>`
+                    : `<tr class="${row.differs ? 'compare-diff' : ''}">
+                        <td>${this.escapeHtml(row.label)}</td>
+                        ${row.values.map((value, index) => `<td class="${index > 0 && value !== row.values[0] ? 'compare-changed' : ''}">${this.escapeHtml(value)}</td>`).join('')}
+                    </tr>`).join('')}
+            </tbody>
+        `;
+
+        table.querySelectorAll('.compare-remove').forEach(button => {
+            button.addEventListener('click', () => this.removeScenario(parseInt(button.dataset.index, 10)));
+        });
+    }
+
+    exportComparisonToCSV() {
+        const scenarios = this.loadComparison();
+        if (scenarios.length < 2) {
+            this.showNotification('Add at least two scenarios before exporting the comparison.', 'warning');
+            return;
+        }
+
+        const csvCell = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        let csvContent = "FM-200 Scenario Comparison\n";
+        csvContent += `Date,${new Date().toLocaleDateString()}\n`;
+        csvContent += `Unit System,${this.getUnitSystem() === 'imperial' ? 'Imperial' : 'Metric (SI)'}\n\n`;
+        csvContent += ['Item', ...scenarios.map(scenario => scenario.name), 'Differs'].map(csvCell).join(',') + '\n';
+
+        this.getComparisonRows(scenarios).forEach(row => {
+            csvContent += row.section
+                ? `\n${csvCell(row.section)}\n`
+                : [row.label, ...row.values, row.differs ? 'Yes' : ''].map(csvCell).join(',') + '\n';
+        });
+
+        const encodedUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csvContent);
+        const link = document.createElement('a');
+        link.setAttribute('href', encodedUri);
+        link.setAttribute('download', `FM200_Comparison_${new Date().toISOString().slice(0, 10)}.csv`);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.showNotification('Comparison exported as CSV file successfully!', 'success');
+    }
+
     // ============================================================================
     // UTILITY FUNCTIONS
     // ============================================================================
@@ -1104,13 +4268,31 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
         return Math.round(value * factor) / factor;
     }
 
+    // Amounts are in the BOQ currency; they are shown converted to the chosen currency
     formatCurrency(amount) {
-        return '₹ ' + amount.toLocaleString('en-IN', {
+        return this.formatAmountIn(this.convertAmount(amount), this.getCurrency());
+    }
+
+    // No conversion - for amounts already in the given currency
+    formatAmountIn(amount, currency) {
+        const locale = (APP_CONFIG.currencies[currency] || {}).locale || 'en-US';
+        return amount.toLocaleString(locale, {
+            style: 'currency',
+            currency,
             minimumFractionDigits: 2,
             maximumFractionDigits: 2
         });
     }
 
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     setElementText(elementId, text) {
         const element = document.getElementById(elementId);
         if (element) {
@@ -1118,6 +4300,11 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
         }
     }
 
+    getFormValue(elementId) {
+        const element = document.getElementById(elementId);
+        return element ? element.value : null;
+    }
+
     setFormValue(elementId, value) {
         const element = document.getElementById(elementId);
         if (element) {
@@ -1125,6 +4312,18 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
         }
     }
 
+    // Empties an input, or puts a select back on its default option
+    resetFormValue(elementId) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        if (element.tagName === 'SELECT') {
+            const option = Array.from(element.options).find(o => o.defaultSelected) || element.options[0];
+            element.value = option ? option.value : '';
+        } else {
+            this.writeUnitInput(element, null);
+        }
+    }
+
     generateProjectId() {
         const timestamp = Date.now().toString(36);
         const random = Math.random().toString(36).substr(2, 5);
@@ -1227,6 +4426,7 @@ Generated by: https://fm-200-room-flooding-system-calcula.vercel.app/
             this.userPrefs.expertMode = expertToggle.checked;
             expertPanel.style.display = expertToggle.checked ? 'block' : 'none';
             this.savePreferences();
+            this.applyDesignConcentration(false);
             
             const message = expertToggle.checked ? 
                 'Expert Mode Activated. Advanced parameters are now visible.' : 
@@ -1301,12 +4501,12 @@ document.head.appendChild(notificationStyle);
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    console.log('FM-200 Calculator v6.1 - Initializing...');
+    console.log(`FM-200 Calculator v${APP_CONFIG.version} - Initializing...`);
     
     try {
         // Initialize calculator
         window.fm200Calculator = new FM200Calculator();
-        console.log('FM-200 Calculator v6.1 - Ready!');
+        console.log(`FM-200 Calculator v${APP_CONFIG.version} - Ready!`);
     } catch (error) {
         console.error('Failed to initialize FM-200 Calculator:', error);
         
@@ -0,0 +1,63 @@
+// FM-200 Calculator - BOQ consistency tests
+// The BOQ table total must match the costResults total shown everywhere else
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+const ROOM = { roomLength: 10, roomWidth: 8, roomHeight: 3, designTemperature: 20, altitude: 0, concentration: 7.5 };
+
+// Sum of table rows, rounded to cents like the BOQ itself
+function sumTotals(rows) {
+    return Math.round(rows.reduce((total, row) => total + row.total, 0) * 100) / 100;
+}
+
+function assertConsistent(costResults) {
+    const { boq } = costResults;
+    assert.equal(sumTotals([...boq.lines, ...boq.adjustments]), boq.grandTotal, 'lines + adjustments = grand total');
+    assert.equal(sumTotals(boq.lines), Math.round((boq.equipmentSubtotal + boq.laborSubtotal) * 100) / 100, 'lines = subtotals');
+    assert.equal(costResults.total, boq.grandTotal, 'costResults total = grand total');
+}
+
+test('single room: table total matches costResults', () => {
+    const results = FM200Engine.performNFPA2001Calculation(ROOM);
+    assertConsistent(FM200Engine.calculateSystemCosts(results));
+});
+
+test('totalINR is only reported for an INR price list', () => {
+    const results = FM200Engine.performNFPA2001Calculation(ROOM);
+    const inr = FM200Engine.calculateSystemCosts(results);
+    assert.equal(inr.currency, 'INR');
+    assert.equal(inr.totalINR, inr.total);
+
+    const usd = FM200Engine.calculateSystemCosts(results, undefined, { currency: 'USD' });
+    assert.equal(usd.currency, 'USD');
+    assert.equal(usd.totalINR, undefined);
+});
+
+test('room with floor and ceiling voids and relief vents: table total matches costResults', () => {
+    const results = FM200Engine.performNFPA2001Calculation({
+        ...ROOM,
+        roomLength: 12,
+        raisedFloorDepth: 0.6,
+        ceilingVoidDepth: 0.8,
+        venting: { wallStrength: 250, leakageArea: 0.001 }
+    });
+    assert.equal(results.zones.length, 3);
+
+    const costResults = FM200Engine.calculateSystemCosts(results);
+    assert.ok(costResults.boq.lines.some(line => line.key === 'ventDampers'), 'vent dampers are priced');
+    assertConsistent(costResults);
+});
+
+test('project with a central cylinder bank: table total matches costResults', () => {
+    const { project } = FM200Engine.performProjectCalculation([
+        { ...ROOM, roomName: 'Server Room' },
+        { ...ROOM, roomName: 'UPS Room', roomLength: 6, roomWidth: 5 }
+    ], { centralBank: true });
+    assert.equal(project.centralBank, true);
+
+    const { costResults, roomCosts } = FM200Engine.calculateProjectCosts(project);
+    assertConsistent(costResults);
+    roomCosts.forEach(roomCost => assertConsistent(roomCost));
+});
@@ -0,0 +1,75 @@
+// FM-200 Calculator - Container selection tests
+// Fill limits per container size and the cost / count strategies
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+// Two sizes where the cheaper bank needs more containers
+const CATALOGUE = [
+    { id: 'S', volume: 50, minFill: 25, maxFill: 57.5, priceFactor: 0.3 },
+    { id: 'L', volume: 100, minFill: 50, maxFill: 115, priceFactor: 2 }
+];
+
+// ============================================================================
+// FILL LIMITS
+// ============================================================================
+
+test('a charge is shared evenly and never exceeds the maximum fill', () => {
+    [36.8, 36.9, 141.87, 400].forEach(agentWeight => {
+        const s = FM200Engine.selectCylinders(agentWeight);
+        assert.ok(s.withinLimits, `${agentWeight} kg`);
+        assert.ok(s.fillPerContainer >= s.minFill && s.fillPerContainer <= s.maxFill, `${agentWeight} kg in ${s.id}`);
+        assert.equal(s.agentSupplied, agentWeight);
+        assert.equal(s.fillDensity, FM200Engine.round(s.fillPerContainer / s.volume, 3));
+    });
+});
+
+test('a charge just over the maximum fill moves to the next size', () => {
+    assert.equal(FM200Engine.selectCylinders(36.8).id, '32L');
+    assert.equal(FM200Engine.selectCylinders(36.9).id, '52L');
+});
+
+test('a charge below every minimum fill uses the smallest container and is flagged', () => {
+    const s = FM200Engine.selectCylinders(3);
+    assert.equal(s.id, '8L');
+    assert.equal(s.count, 1);
+    assert.equal(s.withinLimits, false);
+
+    const results = FM200Engine.performNFPA2001Calculation({
+        roomLength: 1.5, roomWidth: 1, roomHeight: 1, designTemperature: 20, altitude: 0, concentration: 7
+    });
+    assert.ok(results.warnings.some(w => w.source === 'cylinders'));
+});
+
+test('inert gas containers are always filled to their full charge', () => {
+    const catalogue = FM200Engine.getAgent('ig-541').cylinderCatalogue;
+    const s = FM200Engine.selectCylinders(100, { cylinderCatalogue: catalogue });
+    assert.equal(s.id, '140L-300bar');
+    assert.equal(s.count, 2);
+    assert.equal(s.fillPerContainer, 58.4);
+    assert.equal(s.agentSupplied, 116.8);
+});
+
+test('a catalogue without a usable size is rejected', () => {
+    assert.throws(() => FM200Engine.selectCylinders(10, {
+        cylinderCatalogue: [{ id: 'X', volume: 1, minFill: 5, maxFill: 2 }]
+    }), /no valid container sizes/);
+});
+
+// ============================================================================
+// BANK CHOICE
+// ============================================================================
+
+test('the cost strategy picks the cheapest bank, the count strategy the fewest containers', () => {
+    const byCost = FM200Engine.selectCylinders(90, { cylinderCatalogue: CATALOGUE });
+    assert.equal(byCost.strategy, 'cost');
+    assert.equal(byCost.id, 'S');
+    assert.equal(byCost.count, 2);
+
+    const byCount = FM200Engine.selectCylinders(90, { cylinderCatalogue: CATALOGUE, strategy: 'count' });
+    assert.equal(byCount.strategy, 'count');
+    assert.equal(byCount.id, 'L');
+    assert.equal(byCount.count, 1);
+    assert.ok(byCount.totalCost > byCost.totalCost);
+});
@@ -0,0 +1,85 @@
+// FM-200 Calculator - Engine tests
+// Pins agent weights for known design points; run with `node --test test/`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+// 10 x 5 x 2 m room = 100 m³, no voids or obstructions, standard factors
+const ROOM = { roomLength: 10, roomWidth: 5, roomHeight: 2, designTemperature: 20, altitude: 0, concentration: 7 };
+
+function agentWeight(overrides) {
+    return FM200Engine.performNFPA2001Calculation({ ...ROOM, ...overrides }).agentWeight;
+}
+
+// ============================================================================
+// AGENT WEIGHT
+// ============================================================================
+
+test('agent weight across design temperatures and concentrations', () => {
+    // W = V / s × C / (100 − C), s = 0.1269 + 0.000513 T
+    const expected = [
+        { designTemperature: 0, concentration: 7, weight: 59.31 },
+        { designTemperature: 0, concentration: 8.5, weight: 73.2 },
+        { designTemperature: 0, concentration: 10, weight: 87.56 },
+        { designTemperature: 20, concentration: 7, weight: 54.88 },
+        { designTemperature: 20, concentration: 8.5, weight: 67.73 },
+        { designTemperature: 20, concentration: 10, weight: 81.01 },
+        { designTemperature: 40, concentration: 7, weight: 51.06 },
+        { designTemperature: 40, concentration: 8.5, weight: 63.01 },
+        { designTemperature: 40, concentration: 10, weight: 75.37 }
+    ];
+
+    expected.forEach(({ weight, ...input }) => {
+        assert.equal(agentWeight(input), weight, `${input.designTemperature} °C, ${input.concentration}%`);
+    });
+});
+
+test('agent weight follows the atmospheric correction, including below sea level', () => {
+    const expected = [
+        { altitude: -305, weight: 57.07 },
+        { altitude: 0, weight: 54.88 },
+        { altitude: 1000, weight: 48.38 },
+        { altitude: 3050, weight: 36.22 }
+    ];
+
+    expected.forEach(({ altitude, weight }) => {
+        assert.equal(agentWeight({ altitude }), weight, `${altitude} m`);
+    });
+});
+
+test('agent weight scales with the net volume', () => {
+    assert.equal(agentWeight({ roomLength: 20 }), 109.75);
+    assert.equal(FM200Engine.performNFPA2001Calculation(ROOM).netVolume, 100);
+});
+
+test('invalid input is rejected', () => {
+    assert.throws(() => FM200Engine.performNFPA2001Calculation({ ...ROOM, roomLength: 0 }), /Room dimensions/);
+    assert.throws(() => FM200Engine.performNFPA2001Calculation({ ...ROOM, concentration: 12 }), /concentration must be between/i);
+});
+
+// ============================================================================
+// CENTRAL CYLINDER BANK
+// ============================================================================
+
+test('a central bank is safety-checked against the full bank charge in every room', () => {
+    const rooms = [
+        { ...ROOM, roomName: 'Server Room', roomLength: 10, roomWidth: 8, roomHeight: 3 },
+        { ...ROOM, roomName: 'UPS Room', roomLength: 4, roomWidth: 4, roomHeight: 3 }
+    ];
+    const separate = FM200Engine.performProjectCalculation(rooms).project.rooms[1].calculationResults;
+    const { calculationResults, project } = FM200Engine.performProjectCalculation(rooms, { centralBank: true });
+    const ups = project.rooms[1].calculationResults;
+
+    // On its own the small room stays below the NOAEL; the shared bank takes it over the LOAEL
+    assert.equal(separate.safety.status, 'ok');
+    assert.equal(ups.safety.bankCharge, project.bank.cylinderSelection[0].agentSupplied);
+    assert.ok(ups.safety.maxConcentration > ups.safety.loael);
+    assert.equal(ups.safety.status, 'danger');
+    assert.equal(calculationResults.safety.room, 'UPS Room');
+    assert.ok(calculationResults.warnings.some(w => w.source === 'safety' && w.message.startsWith('UPS Room:')));
+
+    // The governing room receives what it was sized for
+    const server = project.rooms[0].calculationResults;
+    assert.equal(server.safety.status, 'ok');
+});
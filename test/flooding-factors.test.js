@@ -0,0 +1,87 @@
+// FM-200 Calculator - NFPA 2001 table regression tests
+// HFC-227ea total flooding quantities (SI) and the atmospheric correction factors
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+// The standard tabulates to four decimal places
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// ============================================================================
+// FLOODING FACTORS
+// ============================================================================
+
+// Specific vapour volume s (m³/kg) and W/V (kg/m³) at 6-10 % by volume
+const HFC227EA_FLOODING_TABLE = [
+    { temperature: -10, s: 0.1218, factors: { 6: 0.5242, 7: 0.6181, 8: 0.7141, 9: 0.8122, 10: 0.9125 } },
+    { temperature: 0, s: 0.1269, factors: { 6: 0.5030, 7: 0.5931, 8: 0.6852, 9: 0.7794, 10: 0.8756 } },
+    { temperature: 10, s: 0.1320, factors: { 6: 0.4834, 7: 0.5701, 8: 0.6586, 9: 0.7491, 10: 0.8416 } },
+    { temperature: 20, s: 0.1372, factors: { 6: 0.4654, 7: 0.5488, 8: 0.6340, 9: 0.7211, 10: 0.8101 } },
+    { temperature: 30, s: 0.1423, factors: { 6: 0.4486, 7: 0.5290, 8: 0.6111, 9: 0.6951, 10: 0.7809 } },
+    { temperature: 40, s: 0.1474, factors: { 6: 0.4330, 7: 0.5106, 8: 0.5899, 9: 0.6709, 10: 0.7537 } },
+    { temperature: 50, s: 0.1526, factors: { 6: 0.4184, 7: 0.4934, 8: 0.5700, 9: 0.6483, 10: 0.7284 } }
+];
+
+test('specific vapour volume matches the table', () => {
+    HFC227EA_FLOODING_TABLE.forEach(({ temperature, s }) => {
+        assertClose(FM200Engine.calculateSpecificVaporVolume(temperature), s, 0.00006, `${temperature} °C`);
+    });
+});
+
+test('flooding factors W/V match the table', () => {
+    HFC227EA_FLOODING_TABLE.forEach(({ temperature, factors }) => {
+        const s = FM200Engine.calculateSpecificVaporVolume(temperature);
+        Object.entries(factors).forEach(([concentration, factor]) => {
+            const perCubicMetre = FM200Engine.calculateAgentWeight(1, s, Number(concentration));
+            assertClose(perCubicMetre, factor, 0.00006, `${temperature} °C, ${concentration}%`);
+        });
+    });
+});
+
+test('full calculation uses the tabulated flooding factor', () => {
+    // 100 m³ at 20 °C, 7 %: 100 × 0.5488
+    const results = FM200Engine.performNFPA2001Calculation({
+        roomLength: 10, roomWidth: 5, roomHeight: 2, designTemperature: 20, altitude: 0, concentration: 7
+    });
+    assertClose(results.agentWeight, 54.88, 0.01, '100 m³ at 20 °C, 7%');
+});
+
+// ============================================================================
+// ATMOSPHERIC CORRECTION
+// ============================================================================
+
+test('correction factor at table points', () => {
+    const rows = [
+        { altitude: -920, factor: 1.11 },
+        { altitude: -305, factor: 1.04 },
+        { altitude: 0, factor: 1.00 },
+        { altitude: 915, factor: 0.89 },
+        { altitude: 1830, factor: 0.78 },
+        { altitude: 3050, factor: 0.66 }
+    ];
+
+    rows.forEach(({ altitude, factor }) => {
+        assertClose(FM200Engine.calculateAtmosphericCorrection(altitude), factor, 1e-9, `${altitude} m`);
+    });
+});
+
+test('correction factor is interpolated between table points', () => {
+    const rows = [
+        { altitude: -150, factor: 1.0197 },    // between -305 m (1.04) and 0 m (1.00)
+        { altitude: 150, factor: 0.9803 },     // between 0 m (1.00) and 305 m (0.96)
+        { altitude: 1000, factor: 0.8816 },    // between 915 m (0.89) and 1220 m (0.86)
+        { altitude: 2900, factor: 0.6748 }     // between 2745 m (0.69) and 3050 m (0.66)
+    ];
+
+    rows.forEach(({ altitude, factor }) => {
+        assertClose(FM200Engine.calculateAtmosphericCorrection(altitude), factor, 0.00006, `${altitude} m`);
+    });
+});
+
+test('correction factor holds the end values beyond the table', () => {
+    assert.equal(FM200Engine.calculateAtmosphericCorrection(-1500), 1.11);
+    assert.equal(FM200Engine.calculateAtmosphericCorrection(4500), 0.66);
+});
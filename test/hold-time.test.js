@@ -0,0 +1,66 @@
+// FM-200 Calculator - Enclosure integrity (hold time) tests
+// NFPA 2001 Annex C descending interface, heights measured from the slab
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+const ROOM = { roomLength: 10, roomWidth: 8, roomHeight: 3, designTemperature: 20, altitude: 0, concentration: 7 };
+const { GRAVITY, LEAKAGE_COEFFICIENT } = FM200Engine.CONSTANTS;
+
+function holdTime(room, integrity) {
+    return FM200Engine.performNFPA2001Calculation({
+        ...ROOM,
+        ...room,
+        integrity: { method: 'ela', ela: 0.02, protectedHeight: 2, ...integrity }
+    }).integrity;
+}
+
+test('hold time follows the descending interface equation', () => {
+    const result = holdTime({}, {});
+
+    // 50/50 leaks in series: A = ELA / 2 / √2
+    const effectiveArea = 0.02 / 2 / Math.SQRT2;
+    const s = FM200Engine.calculateSpecificVaporVolume(20);
+    const airDensity = 353.0 / 293.15;
+    const mixtureDensity = airDensity * 0.93 + 0.07 / s;
+    const delta = (mixtureDensity - airDensity) / mixtureDensity;
+    const seconds = 2 * 80 * (Math.sqrt(3) - Math.sqrt(2)) / (LEAKAGE_COEFFICIENT * effectiveArea * Math.sqrt(2 * GRAVITY * delta));
+
+    assert.equal(result.holdTime, FM200Engine.round(seconds / 60, 1));
+    assert.equal(result.pass, true);
+    assert.equal(result.warnings.length, 0);
+});
+
+test('hold time is inversely proportional to the leakage area', () => {
+    assert.ok(Math.abs(holdTime({}, { ela: 0.01 }).holdTime - 2 * holdTime({}, {}).holdTime) <= 0.1);
+});
+
+test('a door fan reading is converted to an equivalent leakage area', () => {
+    const result = holdTime({}, { method: 'doorfan', ela: undefined, testFlow: 1000, testPressure: 10 });
+    const ela = (1000 / 3600) / (LEAKAGE_COEFFICIENT * Math.sqrt(2 * 10 / (353.0 / 293.15)));
+    assert.equal(result.ela, FM200Engine.round(ela, 4));
+    assert.equal(result.testFlow, 1000);
+});
+
+test('a raised floor lifts the protected height above the slab', () => {
+    const flat = holdTime({}, {});
+    const raised = holdTime({ raisedFloorDepth: 0.6, ceilingVoidDepth: 0.4 }, {});
+
+    assert.equal(raised.enclosureHeight, 4);
+    assert.equal(raised.protectedHeight, 2.6);
+    assert.equal(raised.protectedHeightAboveFloor, 2);
+    assert.equal(flat.protectedHeight, flat.protectedHeightAboveFloor);
+    assert.notEqual(raised.holdTime, flat.holdTime);
+});
+
+test('a leaky enclosure fails the minimum hold time', () => {
+    const result = holdTime({}, { ela: 0.5, minimumHoldTime: 10 });
+    assert.ok(result.holdTime < 10);
+    assert.equal(result.pass, false);
+    assert.equal(result.warnings[0].level, 'danger');
+});
+
+test('the protected height must be below the room height', () => {
+    assert.throws(() => holdTime({}, { protectedHeight: 3 }), /Protected height must be greater than zero and below the room height/);
+});
@@ -0,0 +1,79 @@
+// FM-200 Calculator - Pipe network hydraulics tests
+// Flow split, pipe sizing, pressure drop with static head and the discharge warnings
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+const AGENT = 'hfc-227ea';
+const HYDRAULICS = FM200Engine.getAgent(AGENT).hydraulics;
+
+// Manifold main teed into two equal nozzle branches
+function network(main = {}) {
+    return [
+        { id: 'M', upstream: null, length: 10, rise: 0, elbows: 2, tees: 1, ...main },
+        { id: 'A', upstream: 'M', length: 5, elbows: 1, tees: 0, nozzle: true },
+        { id: 'B', upstream: 'M', length: 5, elbows: 1, tees: 0, nozzle: true }
+    ];
+}
+
+function segment(hydraulics, id) {
+    return hydraulics.segments.find(s => s.id === id);
+}
+
+test('flow is split equally between nozzles and summed upstream', () => {
+    const h = FM200Engine.calculateHydraulics(network(), AGENT, 100);
+    assert.equal(h.systemFlow, FM200Engine.round(100 / HYDRAULICS.dischargeTime, 3));
+    assert.equal(segment(h, 'A').flow, FM200Engine.round(h.systemFlow / 2, 3));
+    assert.equal(segment(h, 'M').flow, h.systemFlow);
+    assert.equal(h.totalLength, 20);
+});
+
+test('auto-sized pipes stay within the maximum mass flux', () => {
+    const h = FM200Engine.calculateHydraulics(network(), AGENT, 100);
+    h.segments.forEach(s => {
+        assert.ok(s.autoSized);
+        assert.ok(s.massFlux <= HYDRAULICS.maxMassFlux, `${s.id}: ${s.massFlux} kg/m²·s in ${s.size}`);
+    });
+    assert.deepEqual(h.pipeSchedule.map(size => [size.id, size.length]), [['DN32', 10], ['DN40', 10]]);
+});
+
+test('pressure falls along the network and each branch starts where the main ends', () => {
+    const h = FM200Engine.calculateHydraulics(network(), AGENT, 100);
+    const main = segment(h, 'M');
+    assert.equal(main.inletPressure, HYDRAULICS.supplyPressure);
+    assert.ok(main.outletPressure < main.inletPressure);
+    ['A', 'B'].forEach(id => assert.equal(segment(h, id).inletPressure, main.outletPressure));
+    assert.equal(h.pressureImbalance, 0);
+    assert.equal(h.warnings.length, 0);
+});
+
+test('a rise adds the static head ρ·g·h to the pressure drop', () => {
+    const level = segment(FM200Engine.calculateHydraulics(network(), AGENT, 100), 'M');
+    const rising = segment(FM200Engine.calculateHydraulics(network({ rise: 5 }), AGENT, 100), 'M');
+    const staticHead = HYDRAULICS.density * FM200Engine.CONSTANTS.GRAVITY * 5 / 1e5;
+    assert.ok(Math.abs(rising.pressureDrop - level.pressureDrop - staticHead) <= 0.01);
+});
+
+test('orifices deliver the design flow within the discharge time', () => {
+    const h = FM200Engine.calculateHydraulics(network(), AGENT, 100);
+    h.nozzles.forEach(nozzle => {
+        assert.ok(nozzle.orificeDiameter > 0);
+        assert.ok(Math.abs(nozzle.flow - nozzle.designFlow) / nozzle.designFlow < 0.05, `${nozzle.segment}`);
+    });
+    assert.ok(h.estimatedDischargeTime <= HYDRAULICS.maxDischargeTime);
+});
+
+test('a network too long to reach the nozzles is flagged', () => {
+    const h = FM200Engine.calculateHydraulics(network({ length: 400 }), AGENT, 100);
+    assert.equal(h.estimatedDischargeTime, null);
+    assert.ok(h.warnings.some(w => w.level === 'danger' && w.message.includes('below the 5.2 bar minimum')));
+    assert.ok(h.warnings.some(w => w.message.includes('cannot discharge')));
+});
+
+test('an invalid network is rejected with the room inputs', () => {
+    assert.throws(() => FM200Engine.performNFPA2001Calculation({
+        roomLength: 10, roomWidth: 8, roomHeight: 3, designTemperature: 20, altitude: 0, concentration: 7,
+        pipeNetwork: [{ id: 'M', length: 10, elbows: 0, tees: 0 }]
+    }), /must end in a nozzle or feed another segment/);
+});
@@ -0,0 +1,76 @@
+// FM-200 Calculator - Price list validation tests
+// The shipped lists must load; damaged or incomplete company lists are rejected with a reason
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+// A complete list with every optional section filled in
+function priceList(overrides = {}) {
+    return {
+        version: '2026-Q4',
+        currency: 'USD',
+        costMultipliers: { ...FM200Engine.DEFAULT_COST_MULTIPLIERS },
+        exchangeRates: { INR: 83.2, AED: 3.6725 },
+        taxCodes: { nozzleCost: { code: '84241000', type: 'HSN', description: 'Fire extinguishers' } },
+        taxRates: { IN: { '8424': 12 } },
+        cylinderCatalogues: { 'hfc-227ea': [{ id: '40L', volume: 40, minFill: 20, maxFill: 46 }] },
+        ...overrides
+    };
+}
+
+test('the built-in and shipped price lists are valid', () => {
+    assert.deepEqual(FM200Engine.validatePriceList(FM200Engine.DEFAULT_PRICE_LIST), []);
+    assert.deepEqual(FM200Engine.validatePriceList(require('../data.json')), []);
+    assert.deepEqual(FM200Engine.validatePriceList(require('../data_fallback.json')), []);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList()), []);
+});
+
+test('a price list must be an object with a currency code', () => {
+    assert.deepEqual(FM200Engine.validatePriceList(null), ['Price list must be a JSON object']);
+    assert.deepEqual(FM200Engine.validatePriceList([]), ['Price list must be a JSON object']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ currency: 'usd' })),
+        ['Price list currency must be a three-letter code such as USD or INR']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ version: ' ' })),
+        ['Price list version must be a non-empty string']);
+});
+
+test('every cost multiplier must be present and within its range', () => {
+    const { agentCostPerKg, ...missing } = FM200Engine.DEFAULT_COST_MULTIPLIERS;
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ costMultipliers: missing })),
+        ['costMultipliers.agentCostPerKg: FM-200 (HFC-227ea) agent must be a number']);
+
+    const errors = FM200Engine.validatePriceList(priceList({
+        costMultipliers: { ...FM200Engine.DEFAULT_COST_MULTIPLIERS, agentCostPerKg: -1, installationFactor: 5 }
+    }));
+    assert.deepEqual(errors, [
+        'costMultipliers.agentCostPerKg: FM-200 (HFC-227ea) agent cannot be below 0',
+        'costMultipliers.installationFactor: Installation factor must be between 1 and 2'
+    ]);
+
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ costMultipliers: undefined })),
+        ['Price list must have a costMultipliers object']);
+});
+
+test('exchange rates, tax codes and tax rates are checked', () => {
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ exchangeRates: { INR: 0 } })),
+        ['exchangeRates.INR must be a positive rate for a three-letter currency code']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ taxCodes: { unknownLine: { code: '8424', type: 'HSN' } } })),
+        ['taxCodes: unknown BOQ line unknownLine']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ taxCodes: { nozzleCost: { code: '84', type: 'HSN' } } })),
+        ['taxCodes.nozzleCost needs a 4-8 digit code and a type of HSN or SAC']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ taxRates: { none: {} } })),
+        ['taxRates: unknown jurisdiction none']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ taxRates: { IN: { '8424': 120 } } })),
+        ['taxRates.IN must map HSN/SAC codes to rates between 0 and 100%']);
+});
+
+test('cylinder catalogues are checked per agent', () => {
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ cylinderCatalogues: { halon: [] } })),
+        ['cylinderCatalogues: unknown agent halon']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({ cylinderCatalogues: { 'hfc-227ea': [] } })),
+        ['cylinderCatalogues.hfc-227ea must list at least one container']);
+    assert.deepEqual(FM200Engine.validatePriceList(priceList({
+        cylinderCatalogues: { 'hfc-227ea': [{ id: '40L', volume: 40, minFill: 50, maxFill: 46 }] }
+    })), ['cylinderCatalogues.hfc-227ea[0] needs volume, minFill and maxFill with minFill no more than maxFill']);
+});
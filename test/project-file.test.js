@@ -0,0 +1,81 @@
+// FM-200 Calculator - Project file migration tests
+// Bare calculations and saved-calculation entries from before project files are wrapped in the current layout
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+const APP_VERSION = '6.2';
+const FORM_DATA = { roomLength: 10, roomWidth: 8, roomHeight: 3, designTemperature: 20, altitude: 0, concentration: 7 };
+
+// A calculation as the results page stores it
+function completeData(metadata = {}) {
+    const calculationResults = FM200Engine.performNFPA2001Calculation(FORM_DATA);
+    return {
+        formData: FORM_DATA,
+        calculationResults,
+        costResults: FM200Engine.calculateSystemCosts(calculationResults),
+        metadata: { version: '6.0', timestamp: '2025-03-01T10:00:00.000Z', projectId: 'FM200-OLD', ...metadata }
+    };
+}
+
+function assertCurrent(projectFile) {
+    assert.equal(projectFile.format, FM200Engine.PROJECT_FILE.format);
+    assert.equal(projectFile.fileVersion, FM200Engine.PROJECT_FILE.version);
+    assert.deepEqual(projectFile.inputs.formData, FORM_DATA);
+}
+
+test('versions compare numerically per part', () => {
+    assert.ok(FM200Engine.compareVersions('6.2', '6.10') < 0);
+    assert.ok(FM200Engine.compareVersions('6.10', '6.2') > 0);
+    assert.equal(FM200Engine.compareVersions('6.2', '6.2'), 0);
+});
+
+test('a current file opens unchanged', () => {
+    const projectFile = FM200Engine.createProjectFile(completeData(), { appVersion: APP_VERSION, projectId: 'FM200-NEW' });
+    const migration = FM200Engine.migrateProjectFile(projectFile, APP_VERSION);
+    assert.equal(migration.projectFile, projectFile);
+    assert.equal(migration.migratedFrom, null);
+    assert.equal(migration.projectFile.projectId, 'FM200-NEW');
+});
+
+test('a current-layout file from an older calculator is reported as migrated', () => {
+    const projectFile = FM200Engine.createProjectFile(completeData(), { appVersion: '6.1' });
+    assert.equal(FM200Engine.migrateProjectFile(projectFile, APP_VERSION).migratedFrom, '6.1');
+});
+
+test('a bare calculation is wrapped with its saved version, time and id', () => {
+    const { projectFile, migratedFrom } = FM200Engine.migrateProjectFile(completeData(), APP_VERSION);
+    assertCurrent(projectFile);
+    assert.equal(migratedFrom, '6.0');
+    assert.equal(projectFile.appVersion, '6.0');
+    assert.equal(projectFile.savedAt, '2025-03-01T10:00:00.000Z');
+    assert.equal(projectFile.projectId, 'FM200-OLD');
+    assert.equal(projectFile.quotation, null);
+});
+
+test('a saved-calculation entry is unwrapped from its data', () => {
+    const entry = { id: 1, name: 'Server room', timestamp: '2025-02-01T09:00:00.000Z', data: completeData({ version: '6.1', timestamp: undefined }) };
+    const { projectFile, migratedFrom } = FM200Engine.migrateProjectFile(entry, APP_VERSION);
+    assertCurrent(projectFile);
+    assert.equal(migratedFrom, '6.1');
+    assert.equal(projectFile.savedAt, '2025-02-01T09:00:00.000Z');
+});
+
+test('an early entry holding only the form data is wrapped as version 6.0', () => {
+    const { projectFile, migratedFrom } = FM200Engine.migrateProjectFile({ timestamp: '2024-12-01T08:00:00.000Z', data: FORM_DATA }, APP_VERSION);
+    assertCurrent(projectFile);
+    assert.equal(migratedFrom, '6.0');
+    assert.equal(projectFile.projectId, null);
+    assert.equal(projectFile.results.calculationResults, undefined);
+});
+
+test('a file from a newer calculator is refused', () => {
+    const projectFile = { ...FM200Engine.createProjectFile(completeData(), { appVersion: '7.0' }), fileVersion: FM200Engine.PROJECT_FILE.version + 1 };
+    assert.throws(() => FM200Engine.migrateProjectFile(projectFile, APP_VERSION), /was saved by a newer calculator - update to open it/);
+});
+
+test('contents that are not a calculation are passed through for the schema check', () => {
+    const contents = { hello: 'world' };
+    assert.deepEqual(FM200Engine.migrateProjectFile(contents, APP_VERSION), { projectFile: contents, migratedFrom: null });
+});
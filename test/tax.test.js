@@ -0,0 +1,75 @@
+// FM-200 Calculator - Tax tests
+// GST split by place of supply (CGST + SGST/UTGST or IGST), VAT and per-code rates
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+const ROOM = { roomLength: 10, roomWidth: 8, roomHeight: 3, designTemperature: 20, altitude: 0, concentration: 7 };
+const BOQ = FM200Engine.calculateSystemCosts(FM200Engine.performNFPA2001Calculation(ROOM)).boq;
+
+// GST state codes
+const TAMIL_NADU = '33';
+const MAHARASHTRA = '27';
+const CHANDIGARH = '04';
+
+function gst(supplierState, placeOfSupply, options = {}) {
+    return FM200Engine.calculateTax(BOQ, { jurisdiction: 'IN', supplierState, placeOfSupply, ...options });
+}
+
+function componentNames(tax) {
+    return tax.components.map(c => c.label);
+}
+
+test('taxable values per HSN/SAC code add up to the grand total', () => {
+    const tax = gst(TAMIL_NADU, TAMIL_NADU);
+    const taxable = tax.lines.reduce((sum, line) => sum + line.taxableValue, 0);
+    assert.equal(FM200Engine.round(taxable, 2), BOQ.grandTotal);
+    assert.equal(tax.taxableValue, BOQ.grandTotal);
+    assert.equal(tax.totalWithTax, FM200Engine.round(BOQ.grandTotal + tax.totalTax, 2));
+});
+
+test('an intra-state supply splits GST into CGST and SGST', () => {
+    const tax = gst(TAMIL_NADU, TAMIL_NADU);
+    assert.equal(tax.supplyType, 'intra-state');
+    assert.deepEqual(componentNames(tax), ['CGST @ 9%', 'SGST @ 9%']);
+    assert.equal(tax.components[0].amount, tax.components[1].amount);
+    assert.ok(Math.abs(tax.totalTax - BOQ.grandTotal * 0.18) <= 0.01 * tax.lines.length);
+});
+
+test('an inter-state supply charges IGST at the full rate', () => {
+    const intra = gst(TAMIL_NADU, TAMIL_NADU);
+    const inter = gst(TAMIL_NADU, MAHARASHTRA);
+    assert.equal(inter.supplyType, 'inter-state');
+    assert.deepEqual(componentNames(inter), ['IGST @ 18%']);
+    assert.ok(Math.abs(inter.totalTax - intra.totalTax) <= 0.01 * inter.lines.length);
+});
+
+test('a supply within a union territory charges UTGST instead of SGST', () => {
+    assert.deepEqual(componentNames(gst(CHANDIGARH, CHANDIGARH)), ['CGST @ 9%', 'UTGST @ 9%']);
+    // Into a union territory from a state is still inter-state
+    assert.deepEqual(componentNames(gst(TAMIL_NADU, CHANDIGARH)), ['IGST @ 18%']);
+});
+
+test('a rate override for one code is split on its own', () => {
+    const tax = gst(TAMIL_NADU, TAMIL_NADU, { taxRates: { IN: { '8424': 12 } } });
+    const nozzles = tax.lines.find(line => line.code === '8424');
+    assert.equal(nozzles.rate, 12);
+    assert.deepEqual(nozzles.components.map(c => [c.name, c.rate]), [['CGST', 6], ['SGST', 6]]);
+    assert.deepEqual(componentNames(tax), ['CGST @ 9%', 'SGST @ 9%', 'CGST @ 6%', 'SGST @ 6%']);
+});
+
+test('VAT is a single component and an exempt supply has no tax', () => {
+    const vat = FM200Engine.calculateTax(BOQ, { jurisdiction: 'AE' });
+    assert.equal(vat.supplyType, null);
+    assert.deepEqual(componentNames(vat), ['VAT @ 5%']);
+
+    const none = FM200Engine.calculateTax(BOQ);
+    assert.equal(none.totalTax, 0);
+    assert.equal(none.totalWithTax, BOQ.grandTotal);
+});
+
+test('GST needs both states and the jurisdiction must be known', () => {
+    assert.throws(() => gst(TAMIL_NADU, undefined), /GST needs the supplier state and the place of supply/);
+    assert.throws(() => FM200Engine.calculateTax(BOQ, { jurisdiction: 'XX' }), /Unknown tax jurisdiction: XX/);
+});
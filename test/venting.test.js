@@ -0,0 +1,75 @@
+// FM-200 Calculator - Pressure relief venting tests
+// Relief area against the wall strength, existing leakage and damper selection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FM200Engine = require('../engine.js');
+
+const ROOM = { roomLength: 10, roomWidth: 8, roomHeight: 3, designTemperature: 20, altitude: 0, concentration: 7 };
+const { LEAKAGE_COEFFICIENT } = FM200Engine.CONSTANTS;
+
+function calculate(venting, room = {}) {
+    return FM200Engine.performNFPA2001Calculation({ ...ROOM, ...room, venting });
+}
+
+test('relief area follows A = Q / (Cd·√(2·ΔP/ρmix))', () => {
+    const results = calculate({ wallStrength: 250 });
+    const { venting } = results;
+
+    const agentQuantity = results.cylinderSelection.reduce((sum, s) => sum + s.agentSupplied, 0);
+    const s = FM200Engine.calculateSpecificVaporVolume(20);
+    const airDensity = 353.0 / 293.15;
+    const mixtureDensity = airDensity * 0.93 + 0.07 / s;
+    const flow = agentQuantity * s / FM200Engine.getAgent('hfc-227ea').hydraulics.dischargeTime;
+
+    assert.equal(venting.flow, FM200Engine.round(flow, 3));
+    assert.equal(venting.requiredArea, FM200Engine.round(flow / (LEAKAGE_COEFFICIENT * Math.sqrt(2 * 250 / mixtureDensity)), 4));
+});
+
+test('a stronger wall needs less relief area', () => {
+    const weak = calculate({ wallStrength: 250 }).venting;
+    const strong = calculate({ wallStrength: 1000 }).venting;
+    assert.ok(Math.abs(weak.requiredArea / strong.requiredArea - 2) < 0.01);
+});
+
+test('existing leakage counts towards the relief area', () => {
+    const required = calculate({ wallStrength: 250 }).venting.requiredArea;
+
+    const entered = calculate({ wallStrength: 250, leakageArea: 0.05 }).venting;
+    assert.equal(entered.leakageSource, 'input');
+    assert.equal(entered.freeVentArea, FM200Engine.round(required - 0.05, 4));
+
+    const fromIntegrity = calculate({ wallStrength: 250 }, { integrity: { method: 'ela', ela: 0.02, protectedHeight: 2 } }).venting;
+    assert.equal(fromIntegrity.leakageSource, 'integrity');
+    assert.equal(fromIntegrity.leakageArea, 0.02);
+
+    // An entered leakage area takes precedence over the integrity ELA
+    const both = calculate({ wallStrength: 250, leakageArea: 0.05 }, { integrity: { method: 'ela', ela: 0.02, protectedHeight: 2 } }).venting;
+    assert.equal(both.leakageSource, 'input');
+});
+
+test('no dampers are needed when the leakage already relieves the discharge', () => {
+    const venting = calculate({ wallStrength: 250, leakageArea: 1 }).venting;
+    assert.equal(venting.freeVentArea, 0);
+    assert.equal(venting.ventCount, 0);
+    assert.equal(venting.damper, null);
+});
+
+test('the cheapest damper size covering the free vent area is chosen', () => {
+    const venting = calculate({ wallStrength: 250 }).venting;
+    const cost = option => Math.ceil(venting.freeVentArea / option.freeArea) * option.priceFactor;
+
+    assert.ok(venting.ventCount * venting.damper.freeArea >= venting.freeVentArea);
+    FM200Engine.VENT_DAMPERS.forEach(option => {
+        assert.ok(venting.ventCount * venting.damper.priceFactor <= cost(option), option.id);
+    });
+});
+
+test('halocarbon venting notes the negative pressure swing, inert gas does not', () => {
+    assert.ok(calculate({ wallStrength: 250 }).venting.note);
+    assert.equal(calculate({ wallStrength: 250 }, { agent: 'ig-541', concentration: 40 }).venting.note, null);
+});
+
+test('the wall strength must be entered', () => {
+    assert.throws(() => calculate({ wallStrength: 0 }), /Wall strength must be greater than zero/);
+});